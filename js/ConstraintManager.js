@@ -0,0 +1,221 @@
+/**
+ * ConstraintManager: Handles "keep together" / "keep apart" pairing constraints (Model layer)
+ *
+ * Responsibilities:
+ * 1. Constraint CRUD: Create and remove pairing constraints between two players
+ * 2. Roster Integrity: Drops constraints when one of their players is removed
+ * 3. Feasibility Check: Explains when constraints cannot all be met with the chosen team count
+ * 4. Violation Tracking: Tells the generator which constraints a set of teams breaks
+ *
+ * Data Structure:
+ * Constraint objects contain: id, type ('together' | 'apart'), playerIds [a, b]
+ */
+
+class ConstraintManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing players, constraints and storage
+    }
+
+    /**
+     * Adds a pairing constraint between two players
+     *
+     * Validation:
+     * - Both players must exist and be different people
+     * - The same pair cannot be constrained twice
+     * - A pair kept together cannot also be kept apart (and vice versa)
+     */
+    addConstraint(type, firstPlayerId, secondPlayerId) {
+        if (type !== 'together' && type !== 'apart') return false;
+
+        const firstPlayer = this.app.players.find(p => p.id === firstPlayerId);
+        const secondPlayer = this.app.players.find(p => p.id === secondPlayerId);
+
+        if (!firstPlayer || !secondPlayer) {
+            alert('Please choose two players for the constraint');
+            return false;
+        }
+        if (firstPlayer.id === secondPlayer.id) {
+            alert('Please choose two different players');
+            return false;
+        }
+
+        const existing = this.app.constraints.find(constraint =>
+            constraint.playerIds.includes(firstPlayer.id) && constraint.playerIds.includes(secondPlayer.id)
+        );
+        if (existing) {
+            alert(existing.type === type
+                ? `${firstPlayer.name} and ${secondPlayer.name} already have this constraint`
+                : `${firstPlayer.name} and ${secondPlayer.name} are already kept ${existing.type}. Remove that constraint first.`);
+            return false;
+        }
+
+        this.app.constraints.push({
+            id: this.createConstraintId(),
+            type: type,
+            playerIds: [firstPlayer.id, secondPlayer.id]
+        });
+
+        this.app.dataManager.saveConstraintsToStorage();
+        this.app.uiManager.updateConstraintsList();
+        return true;
+    }
+
+    // New integer constraint id (used in onclick handlers), unused in the roster and in takenIds
+    createConstraintId(takenIds = new Set()) {
+        let id = Date.now();
+        while (takenIds.has(id) || this.app.constraints.some(constraint => constraint.id === id)) id++;
+        takenIds.add(id);
+        return id;
+    }
+
+    // Removes a single constraint
+    removeConstraint(constraintId) {
+        this.app.constraints = this.app.constraints.filter(constraint => constraint.id !== constraintId);
+        this.app.dataManager.saveConstraintsToStorage();
+        this.app.uiManager.updateConstraintsList();
+    }
+
+    // Removes every constraint that involves a player (used when the player is deleted)
+    removeConstraintsForPlayer(playerId) {
+        this.app.constraints = this.app.constraints.filter(constraint => !constraint.playerIds.includes(playerId));
+        this.app.dataManager.saveConstraintsToStorage();
+    }
+
+    // Constraints whose two players are both part of the given player pool
+    getActiveConstraints(players) {
+        const playerIds = new Set(players.map(player => player.id));
+        return this.app.constraints.filter(constraint => constraint.playerIds.every(id => playerIds.has(id)));
+    }
+
+    // Maps every player id to the id of the team they are on
+    getTeamAssignments(teams) {
+        const teamOf = new Map();
+        teams.forEach(team => team.players.forEach(player => teamOf.set(player.id, team.id)));
+        return teamOf;
+    }
+
+    // Whether a constraint is broken by the given team assignments (players not on a team never break it)
+    isViolated(constraint, teamOf) {
+        const [firstTeam, secondTeam] = constraint.playerIds.map(id => teamOf.get(id));
+        if (firstTeam === undefined || secondTeam === undefined) return false;
+
+        return constraint.type === 'together' ? firstTeam !== secondTeam : firstTeam === secondTeam;
+    }
+
+    // All constraints broken by the given team assignments
+    getViolations(constraints, teamOf) {
+        return constraints.filter(constraint => this.isViolated(constraint, teamOf));
+    }
+
+    /**
+     * Checks whether every constraint can be met before teams are generated
+     *
+     * Approach:
+     * 1. Union-Find merges "keep together" pairs into groups that must share a team
+     * 2. A group that is also "kept apart" internally, or is larger than any squad, is impossible
+     * 3. Backtracking tries to place every group on a team without breaking "keep apart"
+     *    pairs or overfilling a squad
+     *
+     * Returns a list of human-readable problems (empty when everything can be met).
+     */
+    checkFeasibility(players, targetTeamSizes) {
+        const constraints = this.getActiveConstraints(players);
+        if (constraints.length === 0) return [];
+
+        const problems = [];
+        const nameOf = id => (players.find(player => player.id === id) || {}).name;
+
+        // STEP 1: Union-Find over "keep together" pairs
+        const parent = new Map();
+        const find = id => {
+            if (!parent.has(id)) parent.set(id, id);
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id))); // Path compression
+                id = parent.get(id);
+            }
+            return id;
+        };
+        constraints.forEach(constraint => constraint.playerIds.forEach(find));
+        constraints
+            .filter(constraint => constraint.type === 'together')
+            .forEach(constraint => parent.set(find(constraint.playerIds[0]), find(constraint.playerIds[1])));
+
+        const groups = new Map();
+        parent.forEach((_, id) => {
+            const root = find(id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(id);
+        });
+
+        // STEP 2: Impossible groups
+        const largestSquad = Math.max(...targetTeamSizes);
+        groups.forEach(memberIds => {
+            if (memberIds.length > largestSquad) {
+                problems.push(`${memberIds.map(nameOf).join(', ')} must play together, but squads only hold ${largestSquad} players`);
+            }
+        });
+
+        const apartPairs = constraints.filter(constraint => constraint.type === 'apart');
+        apartPairs.forEach(constraint => {
+            const [first, second] = constraint.playerIds;
+            if (find(first) === find(second)) {
+                problems.push(`${nameOf(first)} and ${nameOf(second)} are kept apart, but other constraints keep them together`);
+            }
+        });
+
+        if (problems.length > 0) return problems;
+
+        // STEP 3: Backtracking placement of groups onto teams (largest groups first)
+        const groupList = [...groups.entries()]
+            .map(([root, memberIds]) => ({ root, size: memberIds.length }))
+            .sort((a, b) => b.size - a.size);
+        const conflicts = new Map(groupList.map(group => [group.root, new Set()]));
+        apartPairs.forEach(constraint => {
+            const [firstRoot, secondRoot] = constraint.playerIds.map(find);
+            conflicts.get(firstRoot).add(secondRoot);
+            conflicts.get(secondRoot).add(firstRoot);
+        });
+
+        const capacity = [...targetTeamSizes];
+        const teamOfGroup = new Map();
+        let steps = 0;
+        const maxSteps = 100000; // Guards against pathological inputs
+
+        const place = index => {
+            if (index === groupList.length) return true;
+            if (++steps > maxSteps) return false;
+
+            const group = groupList[index];
+            for (let team = 0; team < capacity.length; team++) {
+                if (capacity[team] < group.size) continue;
+                const clashes = [...conflicts.get(group.root)].some(root => teamOfGroup.get(root) === team);
+                if (clashes) continue;
+
+                capacity[team] -= group.size;
+                teamOfGroup.set(group.root, team);
+                if (place(index + 1)) return true;
+                capacity[team] += group.size;
+                teamOfGroup.delete(group.root);
+            }
+            return false;
+        };
+
+        if (!place(0)) {
+            problems.push(`The pairing constraints cannot all be met with ${targetTeamSizes.length} teams of ${targetTeamSizes.join('/')} players. Try more teams or remove a constraint.`);
+        }
+
+        return problems;
+    }
+
+    // Describes a constraint for lists and reports, e.g. "Messi ✕ Ronaldo (keep apart)"
+    describeConstraint(constraint) {
+        const names = constraint.playerIds.map(id => {
+            const player = this.app.players.find(p => p.id === id);
+            return player ? player.name : 'Unknown player';
+        });
+        return constraint.type === 'together'
+            ? `${names[0]} 🤝 ${names[1]} (keep together)`
+            : `${names[0]} ✕ ${names[1]} (keep apart)`;
+    }
+}
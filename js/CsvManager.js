@@ -0,0 +1,415 @@
+/**
+ * CsvManager: Roster import and export as CSV for spreadsheets (I/O layer)
+ *
+ * Responsibilities:
+ * 1. CSV Export: One row per player with positions, preferred position, selection flag and every stat
+ * 2. CSV Parsing: Quoted fields, embedded line breaks and comma, semicolon or tab delimiters
+ * 3. Column Mapping: Matches spreadsheet headers to player fields, adjustable before importing
+ * 4. Validation & Preview: Checks every row and shows the result before the roster is touched
+ *
+ * Column Format (used by exports and as the default mapping on import):
+ * name, positions, preferredPosition, selected, pace … overall, gk_diving … gk_overall
+ * - positions: codes separated by "/" (";", "|", "," and spaces are accepted on import), e.g. "CB/CDM"
+ * - selected: yes/no (true/false, y/n, 1/0 and x are accepted on import)
+ * - stats: whole numbers from 1 to 99; empty cells default to 75 like the Add Player form, except the
+ *   overalls, which are calculated from the attributes (a given overall that differs is kept as set manually)
+ */
+
+// Player fields that can be read from a CSV column (key = column header in exported files)
+const CSV_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['player', 'player name'] },
+    { key: 'positions', label: 'Positions', required: true, aliases: ['position', 'pos'] },
+    { key: 'preferredPosition', label: 'Preferred position', aliases: ['preferred', 'main position'] },
+    { key: 'selected', label: 'Selected', aliases: ['available', 'playing'] },
+    ...OUTFIELD_STAT_KEYS.map(stat => ({
+        key: stat, label: stat.charAt(0).toUpperCase() + stat.slice(1), statGroup: 'outfieldStats', stat: stat
+    })),
+    ...GK_STAT_KEYS.map(stat => ({
+        key: `gk_${stat}`, label: `GK ${stat}`, statGroup: 'gkStats', stat: stat
+    }))
+];
+
+// Accepted spellings of the selection flag
+const CSV_YES_VALUES = ['yes', 'y', 'true', '1', 'x'];
+const CSV_NO_VALUES = ['no', 'n', 'false', '0'];
+
+class CsvManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing the roster, storage and the modal
+        this.pendingImport = null; // CSV being imported: { fileName, headers, rows, mapping, preview }
+    }
+
+    // Downloads the roster as a CSV file with one row per player
+    exportPlayersToCSV() {
+        if (this.app.players.length === 0) {
+            alert('No players to export. Please add some players first.');
+            return;
+        }
+
+        const rows = [CSV_FIELDS.map(field => field.key), ...this.app.players.map(player => this.playerToRow(player))];
+        const csv = rows.map(row => row.map(value => this.formatCsvValue(value)).join(',')).join('\r\n');
+
+        // The byte order mark makes spreadsheet apps read accented names as UTF-8
+        const blob = new Blob(['\uFEFF' + csv + '\r\n'], { type: 'text/csv;charset=utf-8' });
+        this.app.exportManager.downloadBlob(blob, `soccer_players_${new Date().toISOString().split('T')[0]}.csv`);
+
+        alert(`Successfully exported ${this.app.players.length} players to CSV file!`);
+    }
+
+    // One CSV row for a player, in CSV_FIELDS order (stats the player does not have stay empty)
+    playerToRow(player) {
+        return CSV_FIELDS.map(field => {
+            if (field.key === 'positions') return player.positions.join('/');
+            if (field.key === 'selected') return player.selected ? 'yes' : 'no';
+            if (field.statGroup) {
+                const stats = player[field.statGroup];
+                return stats && stats[field.stat] !== undefined ? stats[field.stat] : '';
+            }
+            return player[field.key] !== undefined ? player[field.key] : '';
+        });
+    }
+
+    // Quotes a value when it contains a delimiter, quote or line break
+    formatCsvValue(value) {
+        const text = String(value);
+        return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parses CSV text into rows of string cells
+     *
+     * The delimiter (comma, semicolon or tab) is detected from the header line, since
+     * spreadsheets in many locales save with semicolons. Empty lines are dropped.
+     */
+    parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const headerLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t'].reduce(
+            (best, candidate) => headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ','
+        );
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    // Lets the user pick a CSV file, then opens the column mapping step
+    importPlayersFromCSV() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,text/csv';
+
+        input.onchange = (event) => {
+            const file = event.target.files[0];
+            if (!file) return; // User cancelled file selection
+
+            const reader = new FileReader();
+            reader.onload = (e) => this.startImport(file.name, e.target.result);
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    // Parses the file and shows the column mapping step
+    startImport(fileName, text) {
+        const rows = this.parseCsv(text);
+        if (rows.length < 2) {
+            alert('The CSV file needs a header row and at least one player row.');
+            return false;
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        this.pendingImport = {
+            fileName: fileName,
+            headers: headers,
+            rows: rows.slice(1),
+            mapping: this.guessMapping(headers),
+            preview: null
+        };
+
+        this.showMappingStep();
+        return true;
+    }
+
+    // Lower-case letters and digits only, so "GK Diving", "gk_diving" and "gkDiving" all match
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Maps each player field to the column index with a matching header (-1 when there is none)
+    guessMapping(headers) {
+        const normalizedHeaders = headers.map(header => this.normalizeHeader(header));
+
+        return Object.fromEntries(CSV_FIELDS.map(field => {
+            const names = [field.key, field.label, ...(field.aliases || [])].map(name => this.normalizeHeader(name));
+            return [field.key, normalizedHeaders.findIndex(header => names.includes(header))];
+        }));
+    }
+
+    // Step 1: one dropdown per player field listing the file's columns
+    showMappingStep() {
+        const { fileName, headers, rows, mapping } = this.pendingImport;
+        const escape = text => this.app.uiManager.escapeHTML(text);
+
+        this.app.uiManager.showModal('Import Players from CSV', `
+            <p class="modal-intro">
+                Match the columns of <strong>${escape(fileName)}</strong> (${rows.length} rows) to player fields.
+                Stats without a column default to ${DEFAULT_STAT_VALUE}.
+            </p>
+            <div class="csv-mapping-grid">
+                ${CSV_FIELDS.map(field => `
+                    <label class="csv-mapping-row">
+                        <span>${field.label}${field.required ? ' *' : ''}</span>
+                        <select class="csv-mapping-select" data-field="${field.key}">
+                            <option value="-1">— not in file —</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${escape(header || `Column ${index + 1}`)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="modal-actions">
+                <button onclick="closeModal()" class="modal-secondary-btn">Cancel</button>
+                <button onclick="previewCsvImport()" class="modal-primary-btn">Preview</button>
+            </div>
+        `);
+    }
+
+    // Reads the mapping dropdowns back into the pending import
+    readMappingControls() {
+        document.querySelectorAll('.csv-mapping-select').forEach(select => {
+            this.pendingImport.mapping[select.dataset.field] = parseInt(select.value);
+        });
+    }
+
+    // Step 2: validates every row with the chosen mapping and shows the preview
+    previewImport() {
+        if (!this.pendingImport) return;
+        this.readMappingControls();
+
+        const mapping = this.pendingImport.mapping;
+        const missingFields = CSV_FIELDS.filter(field => field.required && mapping[field.key] < 0);
+        if (missingFields.length > 0) {
+            alert(`Please choose a column for: ${missingFields.map(field => field.label).join(', ')}.`);
+            return;
+        }
+
+        // Row numbers match the spreadsheet (the header is row 1)
+        const takenIds = new Set();
+        this.pendingImport.preview = this.pendingImport.rows.map((row, index) => ({
+            rowNumber: index + 2,
+            ...this.buildPlayerFromRow(row, mapping, takenIds)
+        }));
+
+        this.showPreviewStep();
+    }
+
+    /**
+     * Builds a player from one CSV row, validating every mapped field
+     *
+     * Returns { name, player, errors } where player is null if the row has any errors.
+     * Stats are only kept for the roles the player's positions need, like the Add Player form.
+     * takenIds collects the ids given to earlier rows of the same import, so every row gets its own.
+     */
+    buildPlayerFromRow(row, mapping, takenIds = new Set()) {
+        const errors = [];
+        const valueOf = key => mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '';
+
+        const name = valueOf('name');
+        if (!name) errors.push('Name is missing');
+
+        const positions = [...new Set(valueOf('positions').toUpperCase().split(/[\/;|,\s]+/).filter(Boolean))];
+        const unknownPositions = positions.filter(position => !PLAYER_POSITIONS.includes(position));
+        if (positions.length === 0) {
+            errors.push('No positions given');
+        } else if (unknownPositions.length > 0) {
+            errors.push(`Unknown position${unknownPositions.length > 1 ? 's' : ''}: ${unknownPositions.join(', ')}`);
+        }
+
+        const preferredPosition = valueOf('preferredPosition').toUpperCase() || positions[0];
+        if (preferredPosition && positions.length > 0 && !positions.includes(preferredPosition)) {
+            errors.push(`Preferred position ${preferredPosition} is not one of the player's positions`);
+        }
+
+        const selectedValue = valueOf('selected').toLowerCase();
+        if (selectedValue && !CSV_YES_VALUES.includes(selectedValue) && !CSV_NO_VALUES.includes(selectedValue)) {
+            errors.push(`Selected must be yes or no (got "${selectedValue}")`);
+        }
+
+        const player = {
+            id: this.app.playerManager.createPlayerId(takenIds),
+            name: name,
+            positions: positions,
+            preferredPosition: preferredPosition,
+            selected: !CSV_NO_VALUES.includes(selectedValue) // Empty cells select the player, like new players
+        };
+
+        const playerManager = this.app.playerManager;
+        player.overallOverride = { outfield: false, gk: false };
+        if (positions.some(position => position !== 'GK')) {
+            player.outfieldStats = this.readStats('outfieldStats', valueOf, errors);
+            player.overallOverride.outfield = playerManager.completeImportedOverall(player.outfieldStats, 'outfield', positions, preferredPosition);
+        }
+        if (positions.includes('GK')) {
+            player.gkStats = this.readStats('gkStats', valueOf, errors);
+            player.overallOverride.gk = playerManager.completeImportedOverall(player.gkStats, 'gk', positions, preferredPosition);
+        }
+
+        return { name: name, player: errors.length === 0 ? player : null, errors: errors };
+    }
+
+    // Reads one stat group ('outfieldStats' or 'gkStats'), defaulting empty cells and reporting values outside 1-99
+    // (an empty overall is left out, to be calculated from the attributes)
+    readStats(statGroup, valueOf, errors) {
+        const stats = {};
+
+        CSV_FIELDS.filter(field => field.statGroup === statGroup).forEach(field => {
+            const text = valueOf(field.key);
+            if (text === '') {
+                if (field.stat !== 'overall') stats[field.stat] = DEFAULT_STAT_VALUE;
+                return;
+            }
+
+            const value = Number(text);
+            if (!Number.isInteger(value) || value < 1 || value > 99) {
+                errors.push(`${field.label} must be a whole number from 1 to 99 (got "${text}")`);
+                return;
+            }
+            stats[field.stat] = value;
+        });
+
+        return stats;
+    }
+
+    // Preview table: one line per row with its status; rows with problems are skipped on import
+    showPreviewStep() {
+        const preview = this.pendingImport.preview;
+        const validCount = preview.filter(entry => entry.player).length;
+        const escape = text => this.app.uiManager.escapeHTML(text);
+        const rosterNames = new Set(this.app.players.map(player => this.app.dataManager.normalizePlayerName(player.name)));
+
+        this.app.uiManager.showModal('Import Players from CSV', `
+            <p class="modal-intro">
+                <strong>${validCount}</strong> of ${preview.length} rows are ready to import.
+                ${validCount < preview.length ? 'Rows with problems are skipped — fix them in the spreadsheet and import again.' : ''}
+            </p>
+            <div class="csv-preview">
+                <table class="csv-preview-table">
+                    <thead>
+                        <tr><th>Row</th><th>Name</th><th>Positions</th><th>Overall</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${preview.map(entry => `
+                            <tr class="${entry.player ? 'valid' : 'invalid'}">
+                                <td>${entry.rowNumber}</td>
+                                <td>${escape(entry.name || '–')}</td>
+                                <td>${entry.player ? entry.player.positions.join(', ') : '–'}</td>
+                                <td>${entry.player ? this.app.playerManager.getPlayerOverallRating(entry.player) : '–'}</td>
+                                <td>${entry.player
+                                    ? (rosterNames.has(this.app.dataManager.normalizePlayerName(entry.name)) ? '⚠️ Already in roster, merged in the next step' : '✓ Ready')
+                                    : `<ul class="csv-row-errors">${entry.errors.map(error => `<li>${escape(error)}</li>`).join('')}</ul>`}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.app.players.length > 0 ? `
+                <div class="csv-import-mode">
+                    <label><input type="radio" name="csvImportMode" value="add" checked> Add to the current roster</label>
+                    <label><input type="radio" name="csvImportMode" value="replace"> Replace the current roster (${this.app.players.length} players)</label>
+                </div>
+            ` : ''}
+            <div class="modal-actions">
+                <button onclick="showCsvMapping()" class="modal-secondary-btn">Back</button>
+                <button onclick="confirmCsvImport()" class="modal-primary-btn" ${validCount === 0 ? 'disabled' : ''}>Import ${validCount} Players</button>
+            </div>
+        `);
+    }
+
+    // Returns from the preview to the column mapping step
+    showMappingAgain() {
+        if (this.pendingImport) this.showMappingStep();
+    }
+
+    // Step 3: adds (or replaces the roster with) the valid rows of the preview
+    confirmImport() {
+        if (!this.pendingImport || !this.pendingImport.preview) return;
+
+        const preview = this.pendingImport.preview;
+        const players = preview.filter(entry => entry.player).map(entry => entry.player);
+        if (players.length === 0) return;
+
+        const modeInput = document.querySelector('input[name="csvImportMode"]:checked');
+        const shouldReplace = !!modeInput && modeInput.value === 'replace';
+        if (shouldReplace) {
+            this.app.players = [];
+            this.app.constraints = []; // Constraints point at players that are being replaced
+        }
+
+        this.pendingImport = null;
+        const skippedCount = preview.length - players.length;
+
+        // Players already in the roster go through the same merge screen as JSON imports
+        if (!shouldReplace && this.app.dataManager.openMergeScreen(
+            { data: { constraints: [] }, fromVersion: EXPORT_SCHEMA_VERSION }, players, { skippedCount: skippedCount }
+        )) {
+            return;
+        }
+
+        players.forEach(player => {
+            player.name = this.app.dataManager.getUniquePlayerName(player.name);
+            this.app.players.push(player);
+        });
+
+        this.app.uiManager.closeModal();
+
+        this.app.uiManager.updatePlayersList();
+        this.app.dataManager.savePlayersToStorage();
+        this.app.dataManager.saveConstraintsToStorage();
+        this.app.teamGenerator.checkTeamSettingsChange();
+        this.app.uiManager.switchTab('player-gallery');
+
+        alert(`Successfully imported ${players.length} players from CSV${shouldReplace ? ' (replaced existing players)' : ''}.` +
+            (skippedCount > 0 ? ` ${skippedCount} row(s) with problems were skipped.` : ''));
+    }
+}
@@ -2,75 +2,217 @@
  * DataManager: Handles data persistence and import/export (Data Access layer)
  * 
  * Responsibilities:
- * 1. Local Storage Management: Persistent data storage using Web Storage API
- * 2. Data Import/Export: JSON-based data portability for sharing and backup
+ * 1. Storage: Saves and loads app data through StorageManager (IndexedDB or localStorage)
+ * 2. Data Import/Export: JSON-based data portability for sharing and backup (CSV lives in CsvManager)
  * 3. Sample Data Generation: Realistic test data with professional soccer players
- * 4. Data Validation: Ensures data integrity during import operations
- * 
+ * 4. Data Validation: Field-level import checks with a report, partial import and auto-fixing
+ * 5. Settings Persistence: Stores generation settings such as the chosen formation
+ * 6. Roster Storage: Keeps players, constraints, settings and matches separately per roster
+ *
  * Data Structure:
  * Player objects contain: id, name, positions[], preferredPosition, selected, 
  * outfieldStats{}, gkStats{} for comprehensive soccer simulation
+ * Constraint objects contain: id, type ('together' | 'apart'), playerIds[] and
+ * are stored and exported together with the roster
+ *
+ * Export Schema Versions:
+ * Exported files carry a whole-number `version`. Older files are upgraded on import by
+ * running IMPORT_MIGRATIONS in order; files newer than EXPORT_SCHEMA_VERSION are rejected.
+ * - 1: `version` "1.0", either at the top level or under `metadata`; players may carry a
+ *      legacy `stats` object instead of (or next to) outfieldStats/gkStats
+ * - 2: top-level numeric `version`, stats only in outfieldStats/gkStats
+ * - 3: one roster's file adds optional `rosterName`, `settings` and `matches`; a file of every
+ *      roster holds `rosters: [{ name, players, constraints, settings, matches }]` instead of `players`
+ */
+
+// Data sets stored separately for each roster, under soccerTeamGenerator_roster_<id>_<data set>
+const ROSTER_DATA_KEYS = ['players', 'constraints', 'settings', 'matches'];
+
+// Roster data sets stored as collections (one record per item, see StorageManager)
+const ROSTER_COLLECTION_KEYS = ['players', 'matches'];
+
+// Schema version written by exportPlayersToJSON (bump it together with a new migration)
+const EXPORT_SCHEMA_VERSION = 3;
+
+// Player fields an import updates on a matched roster player (selection, form log and other local fields are kept)
+const IMPORT_MERGE_FIELDS = ['positions', 'preferredPosition', 'outfieldStats', 'gkStats', 'overallOverride'];
+
+// Upgrade steps for older export files, each taking the file from `from` to `from + 1`
+const IMPORT_MIGRATIONS = [
+    {
+        from: 1,
+        description: 'Move metadata to the top level and replace legacy stats with outfieldStats/gkStats',
+        migrate: (data) => {
+            const { metadata = {}, ...rest } = data;
+            return {
+                ...rest,
+                exportDate: rest.exportDate || metadata.exportDate,
+                playerCount: rest.playerCount || metadata.playerCount,
+                players: Array.isArray(rest.players) ? rest.players.map(player => migrateLegacyStats(player)) : rest.players
+            };
+        }
+    },
+    {
+        from: 2,
+        description: 'Roster name, settings and match history became part of the file (none to add for older files)',
+        migrate: (data) => data
+    }
+];
+
+/**
+ * Replaces a version 1 player's legacy `stats` object with the matching stat group
+ *
+ * Legacy stats described the player's preferred role: outfield attributes for outfield
+ * players, and for goalkeepers the GK attributes stored in the outfield slots
+ * (pace → diving, shooting → handling, ... physical → positioning).
+ * Stat groups the player already has are kept as they are.
  */
+function migrateLegacyStats(player) {
+    if (!player || typeof player !== 'object' || !player.stats) return player;
+
+    const { stats, ...migrated } = player;
+    const preferredPosition = migrated.preferredPosition || (Array.isArray(migrated.positions) ? migrated.positions[0] : null);
+
+    if (preferredPosition === 'GK') {
+        if (!migrated.gkStats) {
+            migrated.gkStats = Object.fromEntries(GK_STAT_KEYS.map((stat, index) => [stat, stats[OUTFIELD_STAT_KEYS[index]]]));
+        }
+    } else if (!migrated.outfieldStats) {
+        migrated.outfieldStats = { ...stats };
+    }
+
+    return migrated;
+}
 
 class DataManager {
     // Constructor establishes connection to main application
     constructor(app) {
         this.app = app; // Dependency injection for accessing shared application state
+        this.pendingImport = null; // JSON import waiting for a decision in the validation report
+        this.pendingMerge = null;  // Merging import waiting for keep local / take imported / keep both choices
+    }
+
+    // Storage key of one of a roster's data sets (see ROSTER_DATA_KEYS), for the active roster by default
+    getStorageKey(dataKey, rosterId = this.app.activeRosterId) {
+        return `${STORAGE_PREFIX}roster_${rosterId}_${dataKey}`;
+    }
+
+    // Reads one of a roster's data sets; null when it was never saved
+    readDataSet(dataKey, rosterId = this.app.activeRosterId) {
+        const storage = this.app.storageManager;
+        const key = this.getStorageKey(dataKey, rosterId);
+        return ROSTER_COLLECTION_KEYS.includes(dataKey) ? storage.getCollection(key) : storage.getItem(key);
+    }
+
+    // Saves one of a roster's data sets (collections only write the items that changed)
+    writeDataSet(dataKey, value, rosterId = this.app.activeRosterId) {
+        const storage = this.app.storageManager;
+        const key = this.getStorageKey(dataKey, rosterId);
+        if (ROSTER_COLLECTION_KEYS.includes(dataKey)) {
+            storage.saveCollection(key, value);
+        } else {
+            storage.setItem(key, value);
+        }
+    }
+
+    // Copies every data set of one roster to another (used when duplicating a roster)
+    copyRosterData(fromRosterId, toRosterId) {
+        this.writeRosterData(toRosterId, this.readRosterData(fromRosterId));
+    }
+
+    // Reads a roster's data sets without loading them into the app (used for exporting all rosters)
+    readRosterData(rosterId) {
+        return Object.fromEntries(ROSTER_DATA_KEYS.map(dataKey => [dataKey, this.readDataSet(dataKey, rosterId)]));
+    }
+
+    // Writes a roster's data sets directly (used for rosters created by an import)
+    writeRosterData(rosterId, data) {
+        ROSTER_DATA_KEYS.forEach(dataKey => {
+            if (data[dataKey] !== undefined && data[dataKey] !== null) {
+                this.writeDataSet(dataKey, data[dataKey], rosterId);
+            }
+        });
+    }
+
+    // Removes every data set of a deleted roster
+    removeRosterData(rosterId) {
+        ROSTER_DATA_KEYS.forEach(dataKey => this.app.storageManager.removeItem(this.getStorageKey(dataKey, rosterId)));
+    }
+
+    // Persists the roster list and which roster is active
+    saveRostersToStorage() {
+        this.app.storageManager.setItem(`${STORAGE_PREFIX}rosters`, {
+            activeRosterId: this.app.activeRosterId,
+            rosters: this.app.rosters
+        });
+    }
+
+    // Loads the roster list; returns false when there is none yet (first start or data from before rosters)
+    loadRostersFromStorage() {
+        try {
+            const savedRosters = this.app.storageManager.getItem(`${STORAGE_PREFIX}rosters`);
+            if (!savedRosters || !Array.isArray(savedRosters.rosters) || savedRosters.rosters.length === 0) return false;
+
+            this.app.rosters = savedRosters.rosters;
+            this.app.activeRosterId = savedRosters.rosters.some(roster => roster.id === savedRosters.activeRosterId)
+                ? savedRosters.activeRosterId
+                : savedRosters.rosters[0].id;
+            return true;
+        } catch (error) {
+            console.error('Error loading rosters from storage:', error);
+            return false;
+        }
+    }
+
+    // Moves data saved before rosters existed (one set of keys for everything) into a roster
+    migrateLegacyStorage(rosterId) {
+        const storage = this.app.storageManager;
+        ROSTER_DATA_KEYS.forEach(dataKey => {
+            const legacyKey = `${STORAGE_PREFIX}${dataKey}`;
+            const value = storage.getItem(legacyKey);
+            if (value === null) return;
+
+            storage.setItem(this.getStorageKey(dataKey, rosterId), value);
+            storage.removeItem(legacyKey);
+            console.log(`Moved ${legacyKey} into roster ${rosterId}`);
+        });
     }
 
     /**
-     * Persists player data to browser's localStorage
+     * Persists player data through StorageManager
      * 
      * Technical Implementation:
-     * - Uses JSON.stringify for object serialization
-     * - Implements try-catch for graceful error handling
-     * - Uses namespaced key to avoid conflicts with other applications
-     * - Handles localStorage quota exceeded scenarios
+     * - Each player is its own record, so only players that changed are written
+     * - Uses the active roster's namespaced key to avoid conflicts with other rosters
+     * - Storage errors (e.g. quota exceeded) are reported by StorageManager once the write fails
      */
     savePlayersToStorage() {
-        try {
-            // Serialize player array to JSON string for storage
-            const serializedData = JSON.stringify(this.app.players);
-            
-            // Store with namespaced key to prevent conflicts
-            localStorage.setItem('soccerTeamGenerator_players', serializedData);
-            
-            console.log(`Successfully saved ${this.app.players.length} players to localStorage`);
-        } catch (error) {
-            // Handle storage quota exceeded or other localStorage errors
-            console.error('Error saving players to localStorage:', error);
-            
-            // Could implement fallback strategies here (e.g., IndexedDB, server storage)
-            if (error.name === 'QuotaExceededError') {
-                alert('Storage quota exceeded. Please export your data and clear some space.');
-            }
-        }
+        this.writeDataSet('players', this.app.players);
+        this.app.undoManager.capture(); // Every saved roster change can be undone
     }
 
     /**
-     * Loads previously saved player data from localStorage
+     * Loads previously saved player data
      * 
-     * Data Recivery Strategy:
-     * - Attempts to parse stored JSON data
+     * Data Recovery Strategy:
+     * - Reads the active roster's player collection
      * - Falls back to empty array on any errors
-     * - Validates data structure after loading
      * - Provides user feedback on successful loads
      */
     loadPlayersFromStorage() {
         try {
-            // Retrieve serialized data from localStorage
-            const savedPlayers = localStorage.getItem('soccerTeamGenerator_players');
+            const savedPlayers = this.readDataSet('players');
             
             if (savedPlayers) {
-                // Deserialize JSON string back to JavaScript objects
-                this.app.players = JSON.parse(savedPlayers);
-                console.log(`Loaded ${this.app.players.length} players from localStorage`);
+                this.app.players = savedPlayers;
+                console.log(`Loaded ${this.app.players.length} players from storage`);
             } else {
-                console.log('No saved player data found in localStorage');
+                this.app.players = []; // New rosters start empty
+                console.log('No saved player data found');
             }
         } catch (error) {
-            // Handle corrupted data or JSON parsing errors
-            console.error('Error loading players from localStorage:', error);
+            // Handle corrupted data
+            console.error('Error loading players from storage:', error);
             
             // Reset to empty state on any loading errors
             this.app.players = [];
@@ -79,6 +221,86 @@ class DataManager {
         }
     }
 
+    // Persists saved matches (line-ups, formation and results) next to the roster
+    saveMatchesToStorage() {
+        this.writeDataSet('matches', this.app.matches);
+        this.app.undoManager.capture(); // Deleted matches and replaced histories can be undone too
+    }
+
+    // Loads saved matches of the active roster
+    loadMatchesFromStorage() {
+        try {
+            this.app.matches = this.readDataSet('matches') || [];
+            console.log(`Loaded ${this.app.matches.length} matches from storage`);
+        } catch (error) {
+            console.error('Error loading matches from storage:', error);
+            this.app.matches = [];
+        }
+    }
+
+    // Persists "keep together" / "keep apart" pairing constraints next to the roster
+    saveConstraintsToStorage() {
+        this.writeDataSet('constraints', this.app.constraints);
+        this.app.undoManager.capture();
+    }
+
+    // Loads pairing constraints, dropping any that point at players no longer in the roster
+    loadConstraintsFromStorage() {
+        try {
+            const constraints = this.readDataSet('constraints') || [];
+            const playerIds = new Set(this.app.players.map(player => player.id));
+            this.app.constraints = constraints.filter(constraint => constraint.playerIds.every(id => playerIds.has(id)));
+        } catch (error) {
+            console.error('Error loading constraints from storage:', error);
+            this.app.constraints = [];
+        }
+    }
+
+    // Default generation settings used for new users and for missing keys in saved settings
+    getDefaultSettings() {
+        return {
+            matchFormat: '11v11',    // Match format (players on the pitch), see MATCH_FORMATS
+            benchSize: null,         // Substitutes per team (null uses the match format's default)
+            formation: '4-3-3',      // Formation shape used by the generator and the pitch view
+            customFormations: [],    // User-defined formation shapes, e.g. '3-4-2-1'
+            refineBalance: true,     // Run the post-draft swap pass that shrinks the rating spread
+            balanceTolerance: 2,     // Imbalance at which the swap pass stops early
+            attributeWeights: {      // How much each outfield attribute counts when balancing (0 ignores it)
+                pace: 1, shooting: 1, passing: 1, dribbling: 1, defending: 1, physical: 1
+            },
+            formRating: {            // Result-driven form rating model, see FormRatingManager
+                enabled: false,      // Adjust players after recorded results and blend form into generation
+                kFactor: 2,          // Largest rating change a single result can cause
+                blend: 50            // Share of the form rating (in %) in the rating used for balancing
+            },
+            matchLength: 60,         // Match length in minutes, used for rotation and substitution schedules
+            keeperRotation: {        // Rotating keeper for teams without a goalkeeper, see KeeperRotationManager
+                enabled: true,       // Build a schedule when a team has no GK-capable player
+                blockLength: 10      // Minutes each stand-in keeps goal
+            },
+            substitutions: {         // Substitution and playing-time planner, see SubstitutionManager
+                enabled: true,       // Plan substitutions for teams with a bench
+                windows: 3           // Substitution windows, spread evenly over the match
+            }
+        };
+    }
+
+    // Persists generation settings (match format, formation choice, custom formations)
+    saveSettingsToStorage() {
+        this.writeDataSet('settings', this.app.settings);
+        this.app.undoManager.capture();
+    }
+
+    // Loads generation settings, filling in defaults for anything missing
+    loadSettingsFromStorage() {
+        try {
+            this.app.settings = { ...this.getDefaultSettings(), ...(this.readDataSet('settings') || {}) };
+        } catch (error) {
+            console.error('Error loading settings from storage:', error);
+            this.app.settings = this.getDefaultSettings();
+        }
+    }
+
     /**
      * Exports player data to downloadable JSON file
      * 
@@ -98,11 +320,15 @@ class DataManager {
 
         // Create structured export package with metadata
         const dataToExport = {
-            version: '1.0',                           // For future compatibility
+            version: EXPORT_SCHEMA_VERSION,           // Lets future versions migrate this file on import
             exportDate: new Date().toISOString(),     // Timestamp for organization
             playerCount: this.app.players.length,     // Quick reference
             application: 'Soccer Team Generator',     // Source identification
-            players: this.app.players                 // Actual player data
+            rosterName: this.app.rosterManager.getActiveRoster().name, // Roster the players belong to
+            players: this.app.players,                // Actual player data
+            constraints: this.app.constraints,        // Pairing constraints between exported players
+            settings: this.app.settings,              // Generation settings, restored when the roster is replaced
+            matches: this.app.matches                 // Match history, restored when the roster is replaced
         };
 
         // Convert to formatted JSON string for readability
@@ -115,7 +341,7 @@ class DataManager {
         // Programmatically trigger download
         const link = document.createElement('a');
         link.href = url;
-        link.download = `soccer_players_${new Date().toISOString().split('T')[0]}.json`;
+        link.download = `soccer_players_${this.app.rosterManager.getFileSlug()}_${new Date().toISOString().split('T')[0]}.json`;
         link.click();
 
         // Clean up memory by revoking object URL
@@ -124,14 +350,43 @@ class DataManager {
         alert(`Successfully exported ${this.app.players.length} players to JSON file!`);
     }
 
+    // Exports every roster (players, constraints, settings and matches) into one JSON file
+    exportAllRostersToJSON() {
+        const rosters = this.app.rosters.map(roster => {
+            const data = this.readRosterData(roster.id);
+            return {
+                name: roster.name,
+                players: data.players || [],
+                constraints: data.constraints || [],
+                settings: data.settings || this.getDefaultSettings(),
+                matches: data.matches || []
+            };
+        });
+
+        const dataToExport = {
+            version: EXPORT_SCHEMA_VERSION,
+            exportDate: new Date().toISOString(),
+            application: 'Soccer Team Generator',
+            rosters: rosters
+        };
+
+        const blob = new Blob([JSON.stringify(dataToExport, null, 2)], { type: 'application/json' });
+        this.app.exportManager.downloadBlob(blob, `soccer_rosters_${new Date().toISOString().split('T')[0]}.json`);
+
+        const playerCount = rosters.reduce((sum, roster) => sum + roster.players.length, 0);
+        alert(`Successfully exported ${rosters.length} rosters (${playerCount} players) to JSON file!`);
+    }
+
     /**
      * Imports player data from user-selected JSON file
      * 
      * Import Process Architecture
      * 1. File Selection: Uses HTML5 File API for client-side file access
-     * 2. Data Validation: Multi-layer validation for data integrity
-     * 3. Conflict Resolution: Smart handling of duplicate names
-     * 4. User Choice: Replace vs. Merge strategies for existing data
+     * 2. Data Validation: Version migration, then field-level checks; any problem opens a
+     *    report to import valid players only, auto-fix or abort
+     * 3. User Choice: Replace vs. Merge strategies for existing data
+     * 4. Conflict Resolution: When merging, players matching the roster by id or name open a
+     *    merge screen (keep local, take imported or keep both)
      * 5. UI Updates: Immediate refresh and navigation to results
      */
     importPlayersFromJSON() {
@@ -149,79 +404,37 @@ class DataManager {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    // Parse JSON with error handling
-                    const importedData = JSON.parse(e.target.result);
-                    
-                    // Validate top-level structure
-                    if (!importedData.players || !Array.isArray(importedData.players)) {
-                        alert('Invalid file format. Please select a valid player export file.');
+                    // Parse JSON with error handling, then upgrade older export formats
+                    const migration = this.migrateImportData(JSON.parse(e.target.result));
+                    if (!migration.valid) {
+                        alert(migration.error);
                         return;
                     }
+                    const importedData = migration.data;
                     
-                    const playersToImport = importedData.players;
-                    
-                    // Validate individual player records
-                    const invalidPlayers = playersToImport.filter(player => 
-                        !player.name || !player.positions || !Array.isArray(player.positions)
-                    );
-                    
-                    if (invalidPlayers.length > 0) {
-                        alert(`Found ${invalidPlayers.length} invalid player(s) in the file. Import cancelled.`);
+                    // A file of every roster is added as new rosters instead of going into the current one
+                    if (Array.isArray(importedData.rosters)) {
+                        this.importRosters(importedData, migration.fromVersion);
                         return;
                     }
                     
-                    // User choice for conflict resolution
-                    const shouldReplace = this.app.players.length > 0 ? 
-                        confirm(`You have ${this.app.players.length} existing players. Click OK to REPLACE them, or Cancel to MERGE with imported players.`) :
-                        true;
-                    
-                    if (shouldReplace) {
-                        this.app.players = []; // Clear existing data
-                    }
-                    
-                    // Import with duplicate name handling
-                    let importedCount = 0;
-                    for (const playerData of playersToImport) {
-                        // Check for duplicate names and add number suffix if needed
-                        let finalName = playerData.name;
-                        let nameCounter = 1;
-                        while (this.app.players.some(existingPlayer => existingPlayer.name === finalName)) {
-                            finalName = `${playerData.name} (${nameCounter})`;
-                            nameCounter++;
-                        }
-                        
-                        const newPlayer = {
-                            id: Date.now() + Math.random(),
-                            name: finalName,
-                            positions: playerData.positions,
-                            preferredPosition: playerData.preferredPosition || playerData.positions[0],
-                            selected: playerData.selected !== undefined ? playerData.selected : false
-                        };
-                        
-                        // Add stats if present
-                        if (playerData.outfieldStats) {
-                            newPlayer.outfieldStats = playerData.outfieldStats;
-                        }
-                        if (playerData.gkStats) {
-                            newPlayer.gkStats = playerData.gkStats;
-                        }
-                        
-                        this.app.players.push(newPlayer);
-                        importedCount++;
+                    // Validate top-level structure
+                    if (!importedData.players || !Array.isArray(importedData.players)) {
+                        alert('Invalid file format. Please select a valid player export file.');
+                        return;
                     }
                     
-                    // Update UI and save
-                    this.app.uiManager.updatePlayersList();
-                    this.savePlayersToStorage();
-                    
-                    // Switch to gallery to show imported players
-                    this.app.uiManager.switchTab('player-gallery');
-                    
-                    const message = shouldReplace 
-                        ? `Successfully imported ${importedCount} players (replaced existing players).`
-                        : `Successfully imported ${importedCount} players (merged with existing ${this.app.players.length - importedCount} players).`;
+                    // Check every player field by field before anything is written to the roster
+                    const report = this.validateImportedPlayers(importedData.players);
+                    const pendingImport = { data: importedData, fromVersion: migration.fromVersion, report: report };
                     
-                    alert(message);
+                    if (report.every(entry => entry.issues.length === 0)) {
+                        this.applyImport(pendingImport, report.map(entry => entry.player));
+                    } else {
+                        // Let the user choose between valid players only, auto-fixing or aborting
+                        this.pendingImport = pendingImport;
+                        this.showImportReport();
+                    }
                     
                 } catch (error) {
                     console.error('Error importing players:', error);
@@ -236,6 +449,643 @@ class DataManager {
         input.click();
     }
 
+    /**
+     * Adds validated players from an import file to the roster
+     * 
+     * players: cleaned-up records from validateImportedPlayers (ids are the file's ids)
+     * counts: { skippedCount, fixedCount } mentioned in the closing message
+     * When merging, players that match the roster by id or name open the merge screen first.
+     */
+    applyImport(pendingImport, players, counts = {}) {
+        // User choice for conflict resolution
+        const shouldReplace = this.app.players.length > 0 ? 
+            confirm(`You have ${this.app.players.length} existing players. Click OK to REPLACE them, or Cancel to MERGE with imported players.`) :
+            true;
+        
+        if (!shouldReplace && this.openMergeScreen(pendingImport, players, counts)) return;
+        
+        this.completeImport(pendingImport, players, counts, shouldReplace, new Map());
+    }
+
+    // Opens the merge screen if any imported player matches the roster (also used by the CSV import)
+    openMergeScreen(pendingImport, players, counts = {}) {
+        const matches = this.findImportMatches(players);
+        if (matches.length === 0) return false;
+        
+        this.pendingMerge = { pendingImport: pendingImport, players: players, counts: counts, matches: matches };
+        this.showMergeScreen();
+        return true;
+    }
+
+    /**
+     * Writes imported players to the roster
+     * 
+     * resolutions: Map of imported player → { choice, localPlayer } from the merge screen, where
+     * choice is 'local' (keep the roster player), 'imported' (update it) or 'both' (add a copy)
+     */
+    completeImport(pendingImport, players, counts, shouldReplace, resolutions) {
+        const importedData = pendingImport.data;
+        
+        if (shouldReplace) {
+            this.app.players = []; // Clear existing data
+            this.app.constraints = [];
+        }
+        
+        // Import with duplicate name handling
+        let importedCount = 0;
+        let updatedCount = 0;
+        let keptCount = 0;
+        const importedIds = new Map(); // Original id → roster id, used to re-link constraints
+        for (const playerData of players) {
+            const resolution = resolutions.get(playerData);
+            if (resolution && resolution.choice !== 'both') {
+                if (resolution.choice === 'imported') {
+                    this.updatePlayerFromImport(resolution.localPlayer, playerData);
+                    updatedCount++;
+                } else {
+                    keptCount++;
+                }
+                importedIds.set(playerData.id, resolution.localPlayer.id);
+                continue;
+            }
+            
+            const newPlayer = {
+                ...playerData,
+                id: this.app.playerManager.createPlayerId(),
+                name: this.getUniquePlayerName(playerData.name) // Duplicate names get a number suffix
+            };
+            
+            this.app.players.push(newPlayer);
+            importedIds.set(playerData.id, newPlayer.id);
+            importedCount++;
+        }
+        
+        // Re-link pairing constraints to roster ids (skipped players drop theirs, existing pairs keep theirs)
+        const importedConstraints = Array.isArray(importedData.constraints) ? importedData.constraints : [];
+        importedConstraints
+            .filter(constraint => Array.isArray(constraint.playerIds) && constraint.playerIds.every(id => importedIds.has(id)))
+            .map(constraint => ({ type: constraint.type, playerIds: constraint.playerIds.map(id => importedIds.get(id)) }))
+            .filter(({ playerIds }) => playerIds[0] !== playerIds[1] && !this.app.constraints.some(existing =>
+                playerIds.every(id => existing.playerIds.includes(id))
+            ))
+            .forEach(({ type, playerIds }) => this.app.constraints.push({
+                id: this.app.constraintManager.createConstraintId(),
+                type: type === 'apart' ? 'apart' : 'together',
+                playerIds: playerIds
+            }));
+        
+        // Replacing the roster with a full roster export also brings back its settings and match history
+        const skippedMatchCount = shouldReplace ? this.restoreRosterExtras(importedData, importedIds) : 0;
+        
+        // Update UI and save
+        this.app.uiManager.updatePlayersList();
+        this.savePlayersToStorage();
+        this.saveConstraintsToStorage();
+        this.app.teamGenerator.checkTeamSettingsChange();
+        
+        // Switch to gallery to show imported players
+        this.app.uiManager.switchTab('player-gallery');
+        
+        const messages = [];
+        if (shouldReplace) {
+            messages.push(`Successfully imported ${importedCount} players (replaced existing players).`);
+        } else if (resolutions.size > 0) {
+            messages.push(`Import merged: ${importedCount} players added, ${updatedCount} updated and ${keptCount} kept as they were.`);
+        } else {
+            messages.push(`Successfully imported ${importedCount} players (merged with existing ${this.app.players.length - importedCount} players).`);
+        }
+        if (counts.fixedCount) messages.push(`${counts.fixedCount} player(s) were auto-fixed.`);
+        if (counts.skippedCount) messages.push(`${counts.skippedCount} player(s) with problems were skipped.`);
+        if (skippedMatchCount) messages.push(`${skippedMatchCount} saved match(es) with problems were skipped.`);
+        if (pendingImport.fromVersion < EXPORT_SCHEMA_VERSION) messages.push('The file was upgraded from an older backup format.');
+        
+        alert(messages.join(' '));
+    }
+
+    // Lower-case without accents or extra spaces, so "Rúben  Dias" and "ruben dias" match
+    normalizePlayerName(name) {
+        return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Pairs imported players with roster players: first by id (re-importing an export of
+     * this roster), then by normalised name. Each roster player is matched at most once.
+     * 
+     * Returns [{ importedPlayer, localPlayer, reason: 'id' | 'name' }] in file order.
+     */
+    findImportMatches(players) {
+        const matches = [];
+        const matchedLocalIds = new Set();
+        
+        players.forEach(importedPlayer => {
+            const localPlayer = this.app.players.find(player => player.id === importedPlayer.id);
+            if (localPlayer && !matchedLocalIds.has(localPlayer.id)) {
+                matches.push({ importedPlayer: importedPlayer, localPlayer: localPlayer, reason: 'id' });
+                matchedLocalIds.add(localPlayer.id);
+            }
+        });
+        
+        players.forEach(importedPlayer => {
+            if (matches.some(match => match.importedPlayer === importedPlayer)) return;
+            
+            const name = this.normalizePlayerName(importedPlayer.name);
+            const localPlayer = this.app.players.find(player => 
+                !matchedLocalIds.has(player.id) && this.normalizePlayerName(player.name) === name
+            );
+            if (localPlayer) {
+                matches.push({ importedPlayer: importedPlayer, localPlayer: localPlayer, reason: 'name' });
+                matchedLocalIds.add(localPlayer.id);
+            }
+        });
+        
+        return matches.sort((a, b) => players.indexOf(a.importedPlayer) - players.indexOf(b.importedPlayer));
+    }
+
+    // Copies the imported name, positions and stats onto a roster player; selection, form log and id stay local
+    updatePlayerFromImport(localPlayer, importedPlayer) {
+        if (importedPlayer.name !== localPlayer.name) {
+            localPlayer.name = this.getUniquePlayerName(importedPlayer.name);
+        }
+        
+        IMPORT_MERGE_FIELDS.forEach(field => {
+            if (importedPlayer[field] !== undefined) {
+                localPlayer[field] = importedPlayer[field];
+            } else {
+                delete localPlayer[field]; // e.g. GK stats of a player who no longer plays in goal
+            }
+        });
+    }
+
+    // Rows of the side-by-side diff that differ between a roster player and its imported match
+    getPlayerDifferences(localPlayer, importedPlayer) {
+        const statValue = (stats, stat) => stats && stats[stat] !== undefined ? String(stats[stat]) : '–';
+        const rows = [
+            { label: 'Name', local: localPlayer.name, imported: importedPlayer.name },
+            { label: 'Positions', local: localPlayer.positions.join(', '), imported: importedPlayer.positions.join(', ') },
+            { label: 'Preferred', local: localPlayer.preferredPosition, imported: importedPlayer.preferredPosition },
+            ...OUTFIELD_STAT_KEYS.map(stat => ({
+                label: stat.charAt(0).toUpperCase() + stat.slice(1),
+                local: statValue(localPlayer.outfieldStats, stat),
+                imported: statValue(importedPlayer.outfieldStats, stat)
+            })),
+            ...GK_STAT_KEYS.map(stat => ({
+                label: `GK ${stat}`,
+                local: statValue(localPlayer.gkStats, stat),
+                imported: statValue(importedPlayer.gkStats, stat)
+            }))
+        ];
+        
+        return rows.filter(row => row.local !== row.imported);
+    }
+
+    // Merge screen: one card per matched player with the diff and keep local / take imported / keep both
+    showMergeScreen() {
+        const { players, matches } = this.pendingMerge;
+        const escape = text => this.app.uiManager.escapeHTML(text);
+        const newCount = players.length - matches.length;
+        
+        this.app.uiManager.showModal('Merge Imported Players', `
+            <p class="modal-intro">
+                <strong>${matches.length}</strong> imported player(s) are already in your roster.
+                Choose which version to keep${newCount > 0 ? `; the other ${newCount} are added as new players` : ''}.
+                Selection and form history of roster players are always kept.
+            </p>
+            <div class="merge-bulk-actions">
+                <button onclick="setMergeChoices('imported')" class="modal-secondary-btn">Take All Imported</button>
+                <button onclick="setMergeChoices('local')" class="modal-secondary-btn">Keep All Local</button>
+            </div>
+            <div class="merge-list">
+                ${matches.map(({ localPlayer, importedPlayer, reason }, index) => {
+                    const differences = this.getPlayerDifferences(localPlayer, importedPlayer);
+                    const defaultChoice = differences.length > 0 ? 'imported' : 'local';
+                    return `
+                        <div class="merge-item">
+                            <div class="merge-item-header">
+                                <strong>${escape(localPlayer.name)}</strong>
+                                <span class="merge-match-reason">${reason === 'id' ? 'Same player id' : 'Same name'}</span>
+                            </div>
+                            ${differences.length > 0 ? `
+                                <table class="merge-diff-table">
+                                    <thead><tr><th>Field</th><th>Local</th><th>Imported</th></tr></thead>
+                                    <tbody>
+                                        ${differences.map(row => `
+                                            <tr><td>${row.label}</td><td>${escape(row.local)}</td><td class="merge-imported-value">${escape(row.imported)}</td></tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            ` : '<p class="merge-identical">Positions and stats are identical.</p>'}
+                            <div class="merge-choices">
+                                ${[['local', 'Keep local'], ['imported', 'Take imported'], ['both', 'Keep both']].map(([value, label]) => `
+                                    <label><input type="radio" name="merge-choice-${index}" value="${value}" ${value === defaultChoice ? 'checked' : ''}> ${label}</label>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="modal-actions">
+                <button onclick="closeModal()" class="modal-secondary-btn">Cancel Import</button>
+                <button onclick="confirmMerge()" class="modal-primary-btn">Import ${players.length} Players</button>
+            </div>
+        `);
+    }
+
+    // Sets every merge choice at once ('local', 'imported' or 'both')
+    setMergeChoices(choice) {
+        document.querySelectorAll(`.merge-choices input[value="${choice}"]`).forEach(input => {
+            input.checked = true;
+        });
+    }
+
+    // Reads the merge screen's choices and finishes the import
+    confirmMerge() {
+        if (!this.pendingMerge) return;
+        
+        const { pendingImport, players, counts, matches } = this.pendingMerge;
+        const resolutions = new Map();
+        matches.forEach((match, index) => {
+            const input = document.querySelector(`input[name="merge-choice-${index}"]:checked`);
+            resolutions.set(match.importedPlayer, { choice: input ? input.value : 'imported', localPlayer: match.localPlayer });
+        });
+        
+        this.pendingMerge = null;
+        this.app.uiManager.closeModal();
+        this.completeImport(pendingImport, players, counts, false, resolutions);
+    }
+
+    /**
+     * Adds every roster of an all-rosters export as a new roster
+     * 
+     * Players are validated like a single import; problems are auto-fixed where possible and
+     * players that cannot be fixed are skipped (with their constraints). Every player gets a new id,
+     * so missing or repeated ids in the file cannot overwrite each other; constraints and saved
+     * matches are re-linked to the new ids, and matches with problems are skipped.
+     */
+    importRosters(importedData, fromVersion) {
+        const rosters = importedData.rosters.filter(roster => roster && Array.isArray(roster.players));
+        if (rosters.length === 0) {
+            alert('This file does not contain any rosters.');
+            return;
+        }
+        
+        const names = rosters.map(roster => String(roster.name || 'Imported roster'));
+        if (!confirm(`This file contains ${rosters.length} roster(s): ${names.join(', ')}. Add them as new rosters?`)) return;
+        
+        let skippedCount = 0;
+        let skippedMatchCount = 0;
+        const takenPlayerIds = new Set();
+        const takenConstraintIds = new Set();
+        rosters.forEach((roster, index) => {
+            const report = this.validateImportedPlayers(roster.players);
+            const importedIds = new Map(); // Original id → new id (the first player keeps a repeated id's links)
+            const players = report.filter(entry => entry.player).map(({ player }) => {
+                const newPlayer = { ...player, id: this.app.playerManager.createPlayerId(takenPlayerIds) };
+                if (!importedIds.has(player.id)) importedIds.set(player.id, newPlayer.id);
+                return newPlayer;
+            });
+            skippedCount += report.length - players.length;
+            
+            const constraints = (Array.isArray(roster.constraints) ? roster.constraints : [])
+                .filter(constraint => constraint && Array.isArray(constraint.playerIds) && constraint.playerIds.length === 2 &&
+                    constraint.playerIds.every(id => importedIds.has(id)))
+                .map(constraint => ({
+                    id: this.app.constraintManager.createConstraintId(takenConstraintIds),
+                    type: constraint.type === 'apart' ? 'apart' : 'together',
+                    playerIds: constraint.playerIds.map(id => importedIds.get(id))
+                }));
+            
+            let matches = null;
+            if (Array.isArray(roster.matches)) {
+                const relinked = this.relinkImportedMatches(roster.matches, importedIds);
+                matches = relinked.matches;
+                skippedMatchCount += relinked.skippedCount;
+            }
+            
+            this.app.rosterManager.addRoster(names[index], {
+                players: players,
+                constraints: constraints,
+                settings: roster.settings && typeof roster.settings === 'object' ? roster.settings : null,
+                matches: matches
+            });
+        });
+        
+        this.app.rosterManager.updateRosterSwitcher();
+        
+        const messages = [`Successfully imported ${rosters.length} roster(s). Switch between them with the roster picker at the top.`];
+        if (skippedCount) messages.push(`${skippedCount} player(s) with problems that could not be fixed were skipped.`);
+        if (skippedMatchCount) messages.push(`${skippedMatchCount} saved match(es) with problems were skipped.`);
+        if (fromVersion < EXPORT_SCHEMA_VERSION) messages.push('The file was upgraded from an older backup format.');
+        alert(messages.join(' '));
+    }
+
+    /**
+     * Restores the settings and match history of a roster export (used when the roster is replaced)
+     * 
+     * Saved line-ups point at player ids, which are re-linked to the ids the import assigned.
+     * Returns the number of saved matches skipped because of problems (see relinkImportedMatches).
+     */
+    restoreRosterExtras(importedData, importedIds) {
+        if (importedData.settings && typeof importedData.settings === 'object') {
+            this.app.settings = { ...this.getDefaultSettings(), ...importedData.settings };
+            this.saveSettingsToStorage();
+            this.app.formationManager.updateFormationPicker();
+            this.app.teamGenerator.updateBalanceControls();
+            this.app.formRatingManager.updateFormControls();
+            this.app.keeperRotationManager.updateRotationControls();
+            this.app.substitutionManager.updateSubstitutionControls();
+        }
+        
+        if (!Array.isArray(importedData.matches)) return 0;
+        
+        const { matches, skippedCount } = this.relinkImportedMatches(importedData.matches, importedIds);
+        this.app.matches = matches;
+        this.app.openMatchId = null;
+        this.saveMatchesToStorage();
+        this.app.matchHistoryManager.updateHistoryList();
+        return skippedCount;
+    }
+
+    /**
+     * Checks the saved matches of an import file and re-links their line-ups to the ids the import assigned
+     * 
+     * A match needs a numeric id, a score that is missing or one number per team, and teams whose
+     * slots each hold a named player with an id and positions in a known line. Keeper rotations and
+     * substitution plans are optional, but need their blocks, windows and changes as lists.
+     * Returns { matches, skippedCount } where matches that fail any check are skipped.
+     */
+    relinkImportedMatches(matchesData, importedIds) {
+        const relink = id => importedIds.has(id) ? importedIds.get(id) : id;
+        const isObject = value => !!value && typeof value === 'object';
+        const isListOf = (value, isValid) => Array.isArray(value) && value.every(item => isValid(item));
+        const slotLines = ['goalkeeper', 'defenders', 'midfielders', 'forwards', 'substitutes'];
+        
+        const isValidSlot = slot => isObject(slot) && slotLines.includes(slot.line) && isObject(slot.player) &&
+            slot.player.id !== undefined && typeof slot.player.name === 'string' && Array.isArray(slot.player.positions);
+        const isValidTeam = team => isObject(team) && isListOf(team.slots, isValidSlot) &&
+            (!team.keeperRotation || (isObject(team.keeperRotation) && isListOf(team.keeperRotation.blocks, isObject))) &&
+            (!team.substitutionPlan || (isObject(team.substitutionPlan) && Array.isArray(team.substitutionPlan.windows) &&
+                isListOf(team.substitutionPlan.changes, isObject)));
+        const isValidMatch = match => isObject(match) && typeof match.id === 'number' && isListOf(match.teams, isValidTeam) &&
+            (!match.score || (isListOf(match.score, score => typeof score === 'number') && match.score.length === match.teams.length));
+        
+        const matches = matchesData.filter(isValidMatch).map(match => ({
+            ...match,
+            teams: match.teams.map(team => ({
+                ...team,
+                slots: team.slots.map(slot => ({ ...slot, player: { ...slot.player, id: relink(slot.player.id) } })),
+                keeperRotation: team.keeperRotation ? {
+                    ...team.keeperRotation,
+                    blocks: team.keeperRotation.blocks.map(block => ({ ...block, playerId: relink(block.playerId) }))
+                } : null,
+                substitutionPlan: team.substitutionPlan ? {
+                    ...team.substitutionPlan,
+                    changes: team.substitutionPlan.changes.map(change => ({ ...change, offId: relink(change.offId), onId: relink(change.onId) }))
+                } : null
+            }))
+        }));
+        
+        return { matches: matches, skippedCount: matchesData.length - matches.length };
+    }
+
+    // Validates every player of an import file, see validateImportedPlayer
+    validateImportedPlayers(playersData) {
+        return playersData.map((playerData, index) => {
+            const name = playerData && typeof playerData.name === 'string' ? playerData.name.trim() : '';
+            return { label: `#${index + 1} ${name || '(no name)'}`, ...this.validateImportedPlayer(playerData) };
+        });
+    }
+
+    /**
+     * Checks one imported player field by field
+     * 
+     * Returns { player, issues }:
+     * - issues: every problem as { field, message, fix }, where fix describes the automatic
+     *   correction (clamping, defaulting, dropping unknown codes) or is null if there is none
+     * - player: the cleaned-up record with every fix applied, or null if any issue cannot be fixed
+     *   (no name, or no known position)
+     */
+    validateImportedPlayer(playerData) {
+        if (!playerData || typeof playerData !== 'object') {
+            return { player: null, issues: [{ field: 'player', message: 'Not a player record', fix: null }] };
+        }
+        
+        const issues = [];
+        
+        const name = typeof playerData.name === 'string' ? playerData.name.trim() : '';
+        if (!name) issues.push({ field: 'name', message: 'Name is missing', fix: null });
+        
+        let positions = [];
+        if (!Array.isArray(playerData.positions) || playerData.positions.length === 0) {
+            issues.push({ field: 'positions', message: 'No positions given', fix: null });
+        } else {
+            positions = [...new Set(playerData.positions.filter(position => PLAYER_POSITIONS.includes(position)))];
+            const unknownPositions = playerData.positions.filter(position => !PLAYER_POSITIONS.includes(position));
+            if (unknownPositions.length > 0) {
+                issues.push({
+                    field: 'positions',
+                    message: `Unknown position code${unknownPositions.length > 1 ? 's' : ''}: ${unknownPositions.join(', ')}`,
+                    fix: positions.length > 0 ? `Remove ${unknownPositions.join(', ')}` : null
+                });
+            }
+        }
+        
+        // A missing preferred position quietly defaults to the first position, as before
+        let preferredPosition = playerData.preferredPosition || positions[0];
+        if (positions.length > 0 && !positions.includes(preferredPosition)) {
+            issues.push({
+                field: 'preferredPosition',
+                message: `${preferredPosition} is not one of the player's positions`,
+                fix: `Use ${positions[0]}`
+            });
+            preferredPosition = positions[0];
+        }
+        
+        let selected = playerData.selected !== undefined ? playerData.selected : false;
+        if (typeof selected !== 'boolean') {
+            issues.push({ field: 'selected', message: `Must be true or false (got ${JSON.stringify(selected)})`, fix: 'Set to false' });
+            selected = false;
+        }
+        
+        const player = { id: playerData.id, name: name, positions: positions, preferredPosition: preferredPosition, selected: selected };
+        if (Array.isArray(playerData.formLog)) player.formLog = playerData.formLog; // Form history travels with the player
+        const givenOverrides = playerData.overallOverride && typeof playerData.overallOverride === 'object' ? playerData.overallOverride : {};
+        player.overallOverride = { outfield: false, gk: false };
+        
+        // Stat groups: required by the player's roles, and checked whenever present
+        // Overalls missing from the file are calculated from the attributes, like the Add Player form does
+        const statGroups = [
+            { key: 'outfieldStats', group: 'outfield', statKeys: OUTFIELD_STAT_KEYS, required: positions.some(position => position !== 'GK'), role: 'an outfield player' },
+            { key: 'gkStats', group: 'gk', statKeys: GK_STAT_KEYS, required: positions.includes('GK'), role: 'a goalkeeper' }
+        ];
+        statGroups.forEach(({ key, group, statKeys, required, role }) => {
+            const stats = playerData[key];
+            if (stats && typeof stats === 'object') {
+                player[key] = this.validateImportedStats(key, stats, statKeys, issues);
+            } else if (required) {
+                issues.push({ field: key, message: `Missing for ${role}`, fix: `Fill every stat with ${DEFAULT_STAT_VALUE}` });
+                player[key] = Object.fromEntries(statKeys.filter(stat => stat !== 'overall').map(stat => [stat, DEFAULT_STAT_VALUE]));
+            } else {
+                return;
+            }
+            
+            const givenOverride = typeof givenOverrides[group] === 'boolean' ? givenOverrides[group] : undefined;
+            player.overallOverride[group] = this.app.playerManager.completeImportedOverall(player[key], group, positions, preferredPosition, givenOverride);
+        });
+        
+        const fixable = issues.every(issue => issue.fix !== null);
+        return { player: fixable ? player : null, issues: issues };
+    }
+
+    // Checks that every stat of a group is a whole number from 1 to 99, recording fixes in issues
+    validateImportedStats(groupKey, stats, statKeys, issues) {
+        const validated = {};
+        
+        statKeys.forEach(stat => {
+            const value = stats[stat];
+            const field = `${groupKey}.${stat}`;
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            
+            // A missing overall is calculated afterwards, so only an unreadable one is a problem
+            if (stat === 'overall' && (value === undefined || value === null || value === '')) return;
+            if (stat === 'overall' && (typeof number !== 'number' || !isFinite(number))) {
+                issues.push({ field: field, message: `Not a number (got ${JSON.stringify(value)})`, fix: 'Calculate from the attributes' });
+                return;
+            }
+            
+            if (typeof number !== 'number' || !isFinite(number)) {
+                issues.push({
+                    field: field,
+                    message: value === undefined ? 'Missing' : `Not a number (got ${JSON.stringify(value)})`,
+                    fix: `Set to ${DEFAULT_STAT_VALUE}`
+                });
+                validated[stat] = DEFAULT_STAT_VALUE;
+                return;
+            }
+            
+            const fixedValue = Math.min(99, Math.max(1, Math.round(number)));
+            if (fixedValue !== value) {
+                issues.push({
+                    field: field,
+                    message: typeof value === 'string' ? `Text instead of a number ("${value}")` : `${value} is not a whole number from 1 to 99`,
+                    fix: `Set to ${fixedValue}`
+                });
+            }
+            validated[stat] = fixedValue;
+        });
+        
+        return validated;
+    }
+
+    // Validation report: every problem per player and field, with the three ways to continue
+    showImportReport() {
+        const report = this.pendingImport.report;
+        const escape = text => this.app.uiManager.escapeHTML(text);
+        const validCount = report.filter(entry => entry.issues.length === 0).length;
+        const fixableCount = report.filter(entry => entry.issues.length > 0 && entry.player).length;
+        const unusableCount = report.length - validCount - fixableCount;
+        
+        this.app.uiManager.showModal('Import Validation Report', `
+            <p class="modal-intro">
+                <strong>${validCount}</strong> of ${report.length} players are valid,
+                ${fixableCount} can be auto-fixed and ${unusableCount} cannot be imported.
+            </p>
+            <div class="import-report">
+                ${report.filter(entry => entry.issues.length > 0).map(entry => `
+                    <div class="import-report-player ${entry.player ? 'fixable' : 'unusable'}">
+                        <h4>
+                            ${escape(entry.label)}
+                            <span class="import-report-status">${entry.player ? 'Can be auto-fixed' : 'Cannot be imported'}</span>
+                        </h4>
+                        <table class="import-report-table">
+                            <thead><tr><th>Field</th><th>Problem</th><th>Auto-fix</th></tr></thead>
+                            <tbody>
+                                ${entry.issues.map(issue => `
+                                    <tr>
+                                        <td><code>${issue.field}</code></td>
+                                        <td>${escape(issue.message)}</td>
+                                        <td>${issue.fix ? escape(issue.fix) : '–'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="modal-actions">
+                <button onclick="resolveImportReport('abort')" class="modal-secondary-btn">Abort Import</button>
+                <button onclick="resolveImportReport('valid')" class="modal-secondary-btn" ${validCount === 0 ? 'disabled' : ''}>Import ${validCount} Valid Only</button>
+                <button onclick="resolveImportReport('fix')" class="modal-primary-btn" ${validCount + fixableCount === 0 ? 'disabled' : ''}>Auto-fix &amp; Import ${validCount + fixableCount}</button>
+            </div>
+        `);
+    }
+
+    // Continues a reported import: 'valid' imports valid players only, 'fix' adds auto-fixed ones, 'abort' cancels
+    resolveImportReport(choice) {
+        const pendingImport = this.pendingImport;
+        this.pendingImport = null;
+        this.app.uiManager.closeModal();
+        if (!pendingImport || choice === 'abort') return;
+        
+        const entries = pendingImport.report.filter(entry => choice === 'fix' ? entry.player : entry.issues.length === 0);
+        if (entries.length === 0) return;
+        
+        this.applyImport(pendingImport, entries.map(entry => entry.player), {
+            skippedCount: pendingImport.report.length - entries.length,
+            fixedCount: choice === 'fix' ? entries.filter(entry => entry.issues.length > 0).length : 0
+        });
+    }
+
+    // Reads the schema version of an export file (files without one are treated as version 1)
+    getSchemaVersion(data) {
+        const version = data.version !== undefined ? data.version : data.metadata && data.metadata.version;
+        if (version === undefined || version === null) return 1;
+        return Math.floor(Number(version)); // Version 1 files wrote "1.0"
+    }
+
+    /**
+     * Upgrades an export file to EXPORT_SCHEMA_VERSION
+     * 
+     * Returns { valid: true, data, fromVersion } with the migrated copy, or
+     * { valid: false, error } for files with an unknown or newer version.
+     */
+    migrateImportData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, error: 'Invalid file format. Please select a valid player export file.' };
+        }
+
+        const fromVersion = this.getSchemaVersion(data);
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            return { valid: false, error: 'Unknown file version. Please select a valid player export file.' };
+        }
+        if (fromVersion > EXPORT_SCHEMA_VERSION) {
+            return {
+                valid: false,
+                error: `This file was exported by a newer version of Soccer Team Generator (format version ${fromVersion}). ` +
+                    `This app reads up to version ${EXPORT_SCHEMA_VERSION} - please update the app and import it again.`
+            };
+        }
+
+        let migrated = data;
+        for (let version = fromVersion; version < EXPORT_SCHEMA_VERSION; version++) {
+            const step = IMPORT_MIGRATIONS.find(migration => migration.from === version);
+            migrated = step.migrate(migrated);
+            console.log(`Migrated import file from version ${version} to ${version + 1}: ${step.description}`);
+        }
+
+        return { valid: true, data: { ...migrated, version: EXPORT_SCHEMA_VERSION }, fromVersion: fromVersion };
+    }
+
+    // Returns the name, or "Name (1)", "Name (2)", ... if the roster already has a player called that
+    getUniquePlayerName(name) {
+        let finalName = name;
+        let nameCounter = 1;
+        while (this.app.players.some(existingPlayer => existingPlayer.name === finalName)) {
+            finalName = `${name} (${nameCounter})`;
+            nameCounter++;
+        }
+        return finalName;
+    }
+
     // Generates realistic sample data for demonstration and testing
     addSamplePlayers() {
         // Sample array of 22 world-class players with realistic stats
@@ -313,7 +1163,7 @@ class DataManager {
         console.log(`Loading ${samplePlayers.length} sample players...`);
         samplePlayers.forEach((player, index) => {
             const newPlayer = {
-                id: Date.now() + Math.random(),
+                id: this.app.playerManager.createPlayerId(),
                 name: player.name,
                 positions: player.positions,
                 preferredPosition: player.preferredPosition || player.positions[0], // Use preferred or default to first position
@@ -0,0 +1,557 @@
+/**
+ * ExportManager: Shares generated line-ups outside the app (I/O layer)
+ *
+ * Responsibilities:
+ * 1. Share Links: Encodes the current teams into a compact URL fragment
+ * 2. Shared View: Decodes a share link and shows its line-up read-only, without touching the roster
+ *    (the user's own teams are kept aside and come back when the shared view is closed)
+ * 3. Image Export: Draws every team's pitch onto a canvas and downloads it as a PNG (no external libraries)
+ * 4. Team Sheets: Copies the line-ups as text for messaging apps (WhatsApp-friendly plain text or Markdown)
+ *
+ * Share Link Format (#share=...):
+ * Base64url-encoded JSON { v, f, t } where
+ * - v: format version
+ * - f: match format id
+ * - t: teams as { n: name, s: shape, p: players, k: keeper rotation }, each player being
+ *   [name, line, position, rating] with line codes g (goalkeeper), d (defence), m (midfield),
+ *   f (attack) and b (bench); k (only for teams with a rotating keeper) lists the blocks as
+ *   [start, end, index of the player in p, their goalkeeping rating]
+ */
+
+// Version of the share link format (bump when the encoded structure changes)
+const SHARE_LINK_VERSION = 1;
+
+// Formation line ↔ one-letter code used in share links
+const SHARE_LINE_CODES = { goalkeeper: 'g', defenders: 'd', midfielders: 'm', forwards: 'f', substitutes: 'b' };
+
+// App state replaced by a shared line-up, kept aside until the shared view is closed
+const SHARED_VIEW_REPLACED_STATE = ['teams', 'leftOutPlayers', 'balanceRefinement', 'unmetConstraints', 'openMatchId', 'generationSeed'];
+
+// Team sheet labels per formation line, in the order lines are listed
+const TEAM_SHEET_LINES = [
+    { line: 'goalkeeper', label: 'GK' },
+    { line: 'defenders', label: 'DEF' },
+    { line: 'midfielders', label: 'MID' },
+    { line: 'forwards', label: 'ATT' }
+];
+
+// Layout of the exported line-up image (in CSS pixels, drawn at 2x for sharp text on phones)
+const IMAGE_LAYOUT = {
+    scale: 2,
+    panelWidth: 420,
+    headerHeight: 76,
+    pitchHeight: 540,
+    benchRowHeight: 22,
+    padding: 16,
+    markerRadius: 17,
+    lineColors: { goalkeeper: '#ff6b6b', defenders: '#4ecdc4', midfielders: '#45b7d1', forwards: '#96ceb4' }
+};
+
+class ExportManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing teams and UI updates
+    }
+
+    // Builds the share link for the teams on display and copies it to the clipboard
+    shareTeams() {
+        if (!this.app.teams || this.app.teams.length === 0) {
+            alert('Please generate teams first before sharing.');
+            return null;
+        }
+
+        const url = `${window.location.href.split('#')[0]}#share=${this.encodeTeams(this.app.teams)}`;
+        this.copyToClipboard(
+            url,
+            'Share link copied to the clipboard. Paste it into your group chat!',
+            'Copy this link to share the teams:'
+        );
+        return url;
+    }
+
+    // Copies text to the clipboard, falling back to a prompt the user can copy from
+    copyToClipboard(text, successMessage, fallbackMessage) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text)
+                .then(() => alert(successMessage))
+                .catch(() => prompt(fallbackMessage, text));
+        } else {
+            prompt(fallbackMessage, text);
+        }
+    }
+
+    // Rating shown for a player in a given line: at the position they play (bench players at their preferred position)
+    getSlotRating(player, line) {
+        return this.app.playerManager.getPlayerRatingForPosition(player, this.app.playerManager.getSlotPosition(player, line));
+    }
+
+    // Encodes teams into the compact share link payload
+    encodeTeams(teams) {
+        const payload = {
+            v: SHARE_LINK_VERSION,
+            f: teams[0].matchFormat,
+            t: teams.map(team => this.encodeTeam(team))
+        };
+
+        return this.toBase64Url(JSON.stringify(payload));
+    }
+
+    // Encodes one team of the share link payload
+    encodeTeam(team) {
+        const slots = this.app.teamGenerator.getTeamSlots(team);
+        const encoded = {
+            n: team.name,
+            s: team.shape,
+            p: slots.map(({ line, player }) => [
+                player.name,
+                SHARE_LINE_CODES[line],
+                line === 'substitutes' ? player.preferredPosition : player.assignedPosition || player.preferredPosition,
+                this.getSlotRating(player, line)
+            ])
+        };
+
+        const rotation = this.app.keeperRotationManager.getScheduleEntries(team);
+        if (rotation.length > 0) {
+            encoded.k = rotation.map(entry => [
+                entry.start,
+                entry.end,
+                slots.findIndex(slot => slot.player === entry.player),
+                this.app.playerManager.getPlayerRatingForPosition(entry.player, 'GK')
+            ]);
+        }
+        return encoded;
+    }
+
+    /**
+     * Decodes a share link payload back into renderable teams
+     *
+     * Players are rebuilt as minimal stand-ins (name, position, rating) with ids that cannot
+     * clash with the roster. Only keepers and rotating keepers get goalkeeping stats, set so their
+     * rating in goal comes out as shared (anyone else is rated in goal as an emergency). Returns null
+     * when the payload is invalid: unknown line or position codes, a shape that is not a formation or
+     * ratings that are not numbers from 1 to 99.
+     */
+    decodeTeams(encoded) {
+        try {
+            const payload = JSON.parse(this.fromBase64Url(encoded));
+            if (payload.v !== SHARE_LINK_VERSION || !Array.isArray(payload.t) || payload.t.length === 0) return null;
+
+            const lineOf = Object.fromEntries(Object.entries(SHARE_LINE_CODES).map(([line, code]) => [code, line]));
+            let nextId = -1; // Negative ids never match real players
+
+            return payload.t.map((sharedTeam, index) => {
+                const shapeLines = this.app.formationManager.parseShape(sharedTeam.s);
+                if (!shapeLines) throw new Error(`Invalid formation "${sharedTeam.s}"`);
+                if (!Array.isArray(sharedTeam.p)) throw new Error('Missing players');
+
+                const team = {
+                    id: index + 1,
+                    name: String(sharedTeam.n),
+                    shape: shapeLines.join('-'),
+                    matchFormat: MATCH_FORMATS[payload.f] ? payload.f : null,
+                    players: [],
+                    formation: { goalkeeper: null, defenders: [], midfielders: [], forwards: [] },
+                    substitutes: [],
+                    totalRating: 0,
+                    averageRating: 0,
+                    targetSize: sharedTeam.p.length
+                };
+
+                sharedTeam.p.forEach(([name, code, position, rating]) => {
+                    const line = lineOf[code];
+                    if (!line) throw new Error(`Unknown line code "${code}"`);
+                    if (!PLAYER_POSITIONS.includes(position)) throw new Error(`Unknown position "${position}"`);
+                    if (!Number.isInteger(rating) || rating < 1 || rating > 99) throw new Error(`Invalid rating "${rating}"`);
+
+                    const player = {
+                        id: nextId--,
+                        name: String(name),
+                        positions: [position],
+                        preferredPosition: position,
+                        assignedPosition: line === 'substitutes' ? undefined : position
+                    };
+                    if (position === 'GK') {
+                        player.gkStats = { overall: rating };
+                    } else {
+                        player.outfieldStats = { overall: rating };
+                    }
+
+                    if (line === 'goalkeeper') {
+                        team.formation.goalkeeper = player;
+                    } else if (line === 'substitutes') {
+                        team.substitutes.push(player);
+                    } else {
+                        team.formation[line].push(player);
+                    }
+                    team.players.push(player);
+                });
+
+                const isRating = value => Number.isInteger(value) && value >= 1 && value <= 99;
+                const blocks = (Array.isArray(sharedTeam.k) ? sharedTeam.k : [])
+                    .filter(block => Array.isArray(block) && Number.isInteger(block[0]) && Number.isInteger(block[1]) && team.players[block[2]])
+                    .map(([start, end, index, keeperRating]) => {
+                        const player = team.players[index];
+                        // The familiarity penalty for playing in goal is added back, so the stand-in rates exactly as shared
+                        if (isRating(keeperRating) && !player.gkStats) {
+                            player.gkStats = { overall: keeperRating + this.app.playerManager.getFamiliarityPenalty(player, 'GK') };
+                        }
+                        return { start: start, end: end, playerId: player.id };
+                    });
+                if (blocks.length > 0) {
+                    team.keeperRotation = {
+                        matchLength: blocks[blocks.length - 1].end,
+                        blockLength: blocks[0].end - blocks[0].start,
+                        blocks: blocks
+                    };
+                }
+
+                this.app.teamGenerator.calculateTeamStats(team);
+                return team;
+            });
+        } catch (error) {
+            console.error('Error decoding share link:', error);
+            return null;
+        }
+    }
+
+    // Opens the shared line-up from the URL fragment, if there is one
+    loadSharedTeamsFromUrl() {
+        const match = window.location.hash.match(/^#share=(.+)$/);
+        if (!match) return false;
+
+        const teams = this.decodeTeams(match[1]);
+        if (!teams) {
+            alert('This share link is invalid or incomplete.');
+            return false;
+        }
+
+        // Opening another link while one is shown keeps the teams set aside the first time
+        if (!this.app.sharedView) {
+            this.app.ownTeamsView = Object.fromEntries(SHARED_VIEW_REPLACED_STATE.map(key => [key, this.app[key]]));
+        }
+
+        this.app.sharedView = true;
+        this.app.teams = teams;
+        this.app.leftOutPlayers = [];
+        this.app.balanceRefinement = null;
+        this.app.unmetConstraints = [];
+        this.app.openMatchId = null;
+        this.app.generationSeed = null;
+
+        this.app.uiManager.updateSharedViewControls();
+        this.app.uiManager.updateTeamsDisplay();
+        this.app.uiManager.switchTab('generate-teams');
+        return true;
+    }
+
+    // Leaves the read-only shared view and brings back the user's own teams
+    closeSharedView() {
+        this.app.sharedView = false;
+        if (this.app.ownTeamsView) {
+            Object.assign(this.app, this.app.ownTeamsView);
+        } else {
+            this.app.teams = [];
+        }
+        this.app.ownTeamsView = null;
+        history.replaceState(null, '', window.location.href.split('#')[0]);
+
+        this.app.uiManager.updateSharedViewControls();
+        this.app.uiManager.updateTeamsDisplay();
+    }
+
+    // Copies the teams on display as a team sheet ('text' for messaging apps or 'markdown')
+    copyTeamSheet(format = 'text') {
+        if (!this.app.teams || this.app.teams.length === 0) {
+            alert('Please generate teams first before copying a team sheet.');
+            return null;
+        }
+
+        const sheet = this.buildTeamSheet(this.app.teams, format);
+        this.copyToClipboard(
+            sheet,
+            `Team sheet copied to the clipboard${format === 'markdown' ? ' as Markdown' : ''}.`,
+            'Copy this team sheet:'
+        );
+        return sheet;
+    }
+
+    /**
+     * Builds a text team sheet for all teams
+     *
+     * Each team lists its name, shape and rating totals, then one line per formation line
+     * (GK, DEF, MID, ATT, as in team.formation) and the substitutes separately.
+     * A team with a rotating keeper gets its schedule listed below the GK line.
+     * Plain text uses WhatsApp-style *bold*; Markdown uses headings and bullet lists.
+     */
+    buildTeamSheet(teams, format = 'text') {
+        const markdown = format === 'markdown';
+        const matchFormat = MATCH_FORMATS[teams[0].matchFormat];
+        const title = `Teams${matchFormat ? ` – ${matchFormat.label}` : ''} (${new Date().toLocaleDateString()})`;
+
+        const sections = teams.map(team => {
+            const lines = TEAM_SHEET_LINES.map(({ line, label }) => {
+                const players = line === 'goalkeeper'
+                    ? [team.formation.goalkeeper].filter(Boolean)
+                    : this.app.uiManager.sortPlayersByPosition(team.formation[line]);
+                return this.formatSheetLine(label, players, line, markdown);
+            });
+            lines.push(this.formatSheetLine('Bench', team.substitutes, 'substitutes', markdown));
+            const rotation = this.formatRotationLine(team, markdown);
+            if (rotation) lines.splice(1, 0, rotation); // Right after the (empty) GK line
+
+            const heading = markdown ? `### ${team.name} (${team.shape})` : `*${team.name}* (${team.shape})`;
+            const totals = `Total ${team.totalRating} · Avg ${team.averageRating} · ${team.players.length} players`;
+            return [heading, markdown ? `**${totals}**` : totals, '', ...lines].join('\n');
+        });
+
+        return [markdown ? `## ${title}` : `*${title}*`, ...sections].join('\n\n');
+    }
+
+    // One line of a team sheet, e.g. "DEF: Ana (LB, 72), Ben (CB, 68)"
+    formatSheetLine(label, players, line, markdown) {
+        const names = players.length > 0
+            ? players.map(player => {
+                const position = line === 'substitutes' ? player.preferredPosition : player.assignedPosition || player.preferredPosition;
+                return `${player.name} (${line === 'goalkeeper' ? 'GK' : position}, ${this.getSlotRating(player, line)})`;
+            }).join(', ')
+            : '–';
+        return markdown ? `- **${label}:** ${names}` : `${label}: ${names}`;
+    }
+
+    // Rotating keeper line of a team sheet, e.g. "GK rota: 0–10' Ana, 10–20' Ben"; null without a rotation
+    formatRotationLine(team, markdown) {
+        const entries = this.app.keeperRotationManager.getScheduleEntries(team);
+        if (entries.length === 0) return null;
+
+        const blocks = entries.map(entry => `${this.app.keeperRotationManager.formatBlock(entry)} ${entry.player.name}`).join(', ');
+        return markdown ? `- **GK rota:** ${blocks}` : `GK rota: ${blocks}`;
+    }
+
+    /**
+     * Draws the teams on display into a PNG and downloads it
+     *
+     * Layout: one panel per team (two per row) with the team name and totals on top,
+     * the pitch with every player's rating, name and assigned position, the bench below
+     * and, for teams with a rotating keeper, the keeper schedule at the bottom.
+     */
+    exportTeamsImage() {
+        if (!this.app.teams || this.app.teams.length === 0) {
+            alert('Please generate teams first before exporting an image.');
+            return;
+        }
+
+        const canvas = this.drawTeamsImage(this.app.teams);
+        canvas.toBlob(blob => {
+            if (!blob) {
+                alert('Sorry, this browser could not create the image.');
+                return;
+            }
+            this.downloadBlob(blob, `soccer_teams_${new Date().toISOString().split('T')[0]}.png`);
+        }, 'image/png');
+    }
+
+    // Renders all team panels onto a new canvas
+    drawTeamsImage(teams) {
+        const { scale, panelWidth, headerHeight, pitchHeight, benchRowHeight, padding } = IMAGE_LAYOUT;
+        const columns = Math.min(teams.length, 2);
+        const rows = Math.ceil(teams.length / columns);
+        const maxBenchRows = Math.max(...teams.map(team => Math.ceil(team.substitutes.length / 2)));
+        const benchHeight = maxBenchRows > 0 ? 28 + maxBenchRows * benchRowHeight : 0;
+        const maxRotationRows = Math.max(...teams.map(team => Math.ceil(this.app.keeperRotationManager.getScheduleEntries(team).length / 3)));
+        const rotationHeight = maxRotationRows > 0 ? 28 + maxRotationRows * benchRowHeight : 0;
+        const panelHeight = headerHeight + pitchHeight + benchHeight + rotationHeight;
+
+        const width = padding + columns * (panelWidth + padding);
+        const height = padding + rows * (panelHeight + padding);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+
+        ctx.fillStyle = '#f4f6f8';
+        ctx.fillRect(0, 0, width, height);
+
+        teams.forEach((team, index) => {
+            const x = padding + (index % columns) * (panelWidth + padding);
+            const y = padding + Math.floor(index / columns) * (panelHeight + padding);
+            this.drawTeamPanel(ctx, team, x, y, panelHeight, benchHeight);
+        });
+
+        return canvas;
+    }
+
+    // Draws one team: header with totals, pitch with players, bench list, rotating keeper schedule
+    drawTeamPanel(ctx, team, x, y, panelHeight, benchHeight) {
+        const { panelWidth, headerHeight, pitchHeight, benchRowHeight } = IMAGE_LAYOUT;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x, y, panelWidth, panelHeight);
+
+        // Header: team name and totals
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = 'bold 20px Inter, Arial, sans-serif';
+        ctx.fillText(team.name, x + 14, y + 30);
+        ctx.font = '13px Inter, Arial, sans-serif';
+        ctx.fillStyle = '#495057';
+        ctx.fillText(
+            `${team.shape}  ·  ${team.players.length} players  ·  Total ${team.totalRating}  ·  Avg ${team.averageRating}`,
+            x + 14, y + 56
+        );
+
+        // Pitch
+        const pitchY = y + headerHeight;
+        this.drawPitch(ctx, x, pitchY, panelWidth, pitchHeight);
+
+        const lines = [
+            { line: 'forwards', rows: [team.formation.forwards] },
+            { line: 'midfielders', rows: this.app.uiManager.getMidfieldRows(team).reverse() },
+            { line: 'defenders', rows: [team.formation.defenders] },
+            { line: 'goalkeeper', rows: [team.formation.goalkeeper ? [team.formation.goalkeeper] : []] }
+        ];
+        const pitchRows = lines.flatMap(({ line, rows }) => rows.filter(row => row.length > 0).map(row => ({ line, row })));
+
+        pitchRows.forEach(({ line, row }, rowIndex) => {
+            const rowY = pitchY + (rowIndex + 0.5) * pitchHeight / pitchRows.length;
+            const players = this.app.uiManager.sortPlayersByPosition(row);
+            players.forEach((player, i) => {
+                const playerX = x + (i + 0.5) * panelWidth / players.length;
+                this.drawPlayerMarker(ctx, player, line, playerX, rowY);
+            });
+        });
+
+        // Bench
+        if (team.substitutes.length > 0) {
+            const benchY = pitchY + pitchHeight;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#2c3e50';
+            ctx.font = 'bold 13px Inter, Arial, sans-serif';
+            ctx.fillText(`Substitutes (${team.substitutes.length})`, x + 14, benchY + 20);
+
+            ctx.font = '12px Inter, Arial, sans-serif';
+            ctx.fillStyle = '#495057';
+            team.substitutes.forEach((player, i) => {
+                const column = i % 2;
+                const benchRow = Math.floor(i / 2);
+                const rating = this.getSlotRating(player, 'substitutes');
+                ctx.fillText(
+                    this.fitText(ctx, `${player.name} · ${player.preferredPosition} · ${rating}`, panelWidth / 2 - 20),
+                    x + 14 + column * panelWidth / 2, benchY + 28 + (benchRow + 0.7) * benchRowHeight
+                );
+            });
+        }
+
+        // Rotating keeper schedule
+        const rotation = this.app.keeperRotationManager.getScheduleEntries(team);
+        if (rotation.length > 0) {
+            const rotationY = pitchY + pitchHeight + benchHeight;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#2c3e50';
+            ctx.font = 'bold 13px Inter, Arial, sans-serif';
+            ctx.fillText(`Rotating keeper (${team.keeperRotation.blockLength}-minute blocks)`, x + 14, rotationY + 20);
+
+            ctx.font = '12px Inter, Arial, sans-serif';
+            ctx.fillStyle = '#495057';
+            rotation.forEach((entry, i) => {
+                const column = i % 3;
+                const rotationRow = Math.floor(i / 3);
+                ctx.fillText(
+                    this.fitText(ctx, `${this.app.keeperRotationManager.formatBlock(entry)} ${entry.player.name}`, panelWidth / 3 - 16),
+                    x + 14 + column * panelWidth / 3, rotationY + 28 + (rotationRow + 0.7) * benchRowHeight
+                );
+            });
+        }
+    }
+
+    // Green pitch with halfway line, centre circle and penalty areas (attack at the top)
+    drawPitch(ctx, x, y, width, height) {
+        const stripes = 8;
+        for (let i = 0; i < stripes; i++) {
+            ctx.fillStyle = i % 2 === 0 ? '#2e8b57' : '#339966';
+            ctx.fillRect(x, y + i * height / stripes, width, height / stripes);
+        }
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 8, y + 8, width - 16, height - 16);
+
+        ctx.beginPath();
+        ctx.moveTo(x + 8, y + height / 2);
+        ctx.lineTo(x + width - 8, y + height / 2);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(x + width / 2, y + height / 2, 44, 0, Math.PI * 2);
+        ctx.stroke();
+
+        const boxWidth = width * 0.5;
+        ctx.strokeRect(x + (width - boxWidth) / 2, y + 8, boxWidth, 64);
+        ctx.strokeRect(x + (width - boxWidth) / 2, y + height - 72, boxWidth, 64);
+    }
+
+    // Player marker: coloured circle with the rating, name and assigned position below
+    drawPlayerMarker(ctx, player, line, centerX, centerY) {
+        const { markerRadius, lineColors, panelWidth } = IMAGE_LAYOUT;
+        const rating = this.getSlotRating(player, line);
+        const position = this.app.playerManager.getSlotPosition(player, line);
+
+        ctx.beginPath();
+        ctx.arc(centerX, centerY - 8, markerRadius, 0, Math.PI * 2);
+        ctx.fillStyle = lineColors[line];
+        ctx.fill();
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 13px Inter, Arial, sans-serif';
+        ctx.fillText(String(rating), centerX, centerY - 8);
+
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = 'bold 11px Inter, Arial, sans-serif';
+        ctx.fillText(this.fitText(ctx, player.name, panelWidth / 4), centerX, centerY + 24);
+        ctx.font = '10px Inter, Arial, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillText(position, centerX, centerY + 37);
+    }
+
+    // Shortens text with an ellipsis so it fits the given width
+    fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        let shortened = text;
+        while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+            shortened = shortened.slice(0, -1);
+        }
+        return `${shortened}…`;
+    }
+
+    // Downloads a blob as a file
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // UTF-8 safe base64url encoding (player names may contain accents)
+    toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Reverses toBase64Url
+    fromBase64Url(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * FormRatingManager: Result-driven "form rating" for players (Logic layer)
+ *
+ * Responsibilities:
+ * 1. Elo-Style Model: Nudges players up or down when their team beats or misses its expected result
+ * 2. Adjustment Log: Keeps a per-player log of every change so it can be audited or reverted
+ * 3. Rating Blend: Tells the generator how much of the form rating to mix into the manual overall
+ *    (or into a position rating, for the rating a player adds to a team from their slot)
+ * 4. Settings UI: Keeps the form rating controls in sync with settings
+ *
+ * Model:
+ * - A player's form rating is their manual overall plus every active log entry
+ * - Team strength is the average form rating of its squad
+ * - Expected result of team A against team B: 1 / (1 + 10^((B − A) / FORM_RATING_SCALE))
+ * - Change per player: K × (actual − expected), averaged over every opponent
+ *   (actual is 1 for a win, 0.5 for a draw and 0 for a loss)
+ *
+ * Log Entry Structure:
+ * { id, matchId, date, result, change, reverted }
+ */
+
+// Rating gap at which the stronger team is expected to win about 91% of the time
+const FORM_RATING_SCALE = 20;
+
+class FormRatingManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing players, matches and settings
+    }
+
+    // Form rating settings, filling in defaults for anything missing
+    getFormSettings() {
+        return { enabled: false, kFactor: 2, blend: 50, ...(this.app.settings.formRating || {}) };
+    }
+
+    // Sum of every active (not reverted) adjustment for a player
+    getFormChange(player) {
+        const change = (player.formLog || [])
+            .filter(entry => !entry.reverted)
+            .reduce((sum, entry) => sum + entry.change, 0);
+        return Math.round(change * 10) / 10;
+    }
+
+    // Manual overall plus the player's active adjustments, kept within 1-99
+    getFormRating(player) {
+        const rating = this.app.playerManager.getPlayerOverallRating(player) + this.getFormChange(player);
+        return Math.min(99, Math.max(1, Math.round(rating * 10) / 10));
+    }
+
+    /**
+     * Rating the generator balances on
+     *
+     * With the model switched off (or a blend of 0%) this is the manual overall.
+     * Otherwise: manual × (1 − blend) + form × blend
+     */
+    getEffectiveRating(player) {
+        return this.blendFormRating(player, this.app.playerManager.getPlayerOverallRating(player));
+    }
+
+    // Rating at a position (see PlayerManager.getPlayerRatingForPosition) blended with form like getEffectiveRating
+    getEffectiveRatingForPosition(player, position) {
+        return this.blendFormRating(player, this.app.playerManager.getPlayerRatingForPosition(player, position));
+    }
+
+    // Mixes a manual rating with the same rating shifted by the player's form change (kept within 1-99)
+    blendFormRating(player, manualRating) {
+        const settings = this.getFormSettings();
+        if (!settings.enabled || settings.blend === 0) return manualRating;
+
+        const blend = settings.blend / 100;
+        const formRating = Math.min(99, Math.max(1, Math.round((manualRating + this.getFormChange(player)) * 10) / 10));
+        return Math.round((manualRating * (1 - blend) + formRating * blend) * 10) / 10;
+    }
+
+    /**
+     * Calculates the form change for every player of a match with a recorded score
+     *
+     * Returns a Map of playerId → { change, result } (players no longer in the roster are skipped)
+     */
+    calculateMatchAdjustments(match) {
+        const adjustments = new Map();
+        if (!match.score || match.teams.length < 2) return adjustments;
+
+        const kFactor = this.getFormSettings().kFactor;
+        const rosterPlayer = id => this.app.players.find(player => player.id === id);
+
+        // Team strength from current form ratings (falls back to the saved copy for departed players)
+        const strengths = match.teams.map(team => {
+            const ratings = team.slots.map(slot => this.getFormRating(rosterPlayer(slot.player.id) || slot.player));
+            return ratings.reduce((sum, rating) => sum + rating, 0) / Math.max(ratings.length, 1);
+        });
+
+        match.teams.forEach((team, i) => {
+            let teamChange = 0;
+            match.teams.forEach((_, j) => {
+                if (i === j) return;
+                const expected = 1 / (1 + Math.pow(10, (strengths[j] - strengths[i]) / FORM_RATING_SCALE));
+                const actual = match.score[i] > match.score[j] ? 1 : match.score[i] === match.score[j] ? 0.5 : 0;
+                teamChange += kFactor * (actual - expected);
+            });
+            teamChange /= match.teams.length - 1;
+
+            const result = this.describeTeamResult(match, i);
+            team.slots.forEach(slot => {
+                if (rosterPlayer(slot.player.id)) {
+                    adjustments.set(slot.player.id, { change: Math.round(teamChange * 10) / 10, result });
+                }
+            });
+        });
+
+        return adjustments;
+    }
+
+    // Short result for a team's log entries, e.g. "W 3–1 vs Team 2"
+    describeTeamResult(match, teamIndex) {
+        const own = match.score[teamIndex];
+        const opponents = match.teams.filter((_, i) => i !== teamIndex);
+        const best = Math.max(...match.score.filter((_, i) => i !== teamIndex));
+        const letter = own > best ? 'W' : own === best ? 'D' : 'L';
+
+        return opponents.length === 1
+            ? `${letter} ${own}–${match.score[match.teams.indexOf(opponents[0])]} vs ${opponents[0].name}`
+            : `${letter} (${match.score.join('–')})`;
+    }
+
+    // New integer log entry id (used in onclick handlers), unused in the player's log
+    createLogEntryId(player) {
+        let id = Date.now();
+        while ((player.formLog || []).some(entry => entry.id === id)) id++;
+        return id;
+    }
+
+    /**
+     * Records a match result in every player's log
+     *
+     * Earlier adjustments for the same match (e.g. before the score was edited) are
+     * reverted first, so each match counts once. Nothing is applied while the model is off.
+     */
+    recordMatchResult(match) {
+        this.revertMatchAdjustments(match.id, false);
+
+        if (this.getFormSettings().enabled && match.score) {
+            this.calculateMatchAdjustments(match).forEach(({ change, result }, playerId) => {
+                const player = this.app.players.find(p => p.id === playerId);
+                player.formLog = [...(player.formLog || []), {
+                    id: this.createLogEntryId(player),
+                    matchId: match.id,
+                    date: match.date,
+                    result: result,
+                    change: change,
+                    reverted: false
+                }];
+            });
+        }
+
+        this.app.dataManager.savePlayersToStorage();
+        this.app.uiManager.updatePlayersList();
+    }
+
+    // Reverts every active adjustment a match made (used when its score changes or it is deleted)
+    revertMatchAdjustments(matchId, save = true) {
+        this.app.players.forEach(player => {
+            (player.formLog || [])
+                .filter(entry => entry.matchId === matchId && !entry.reverted)
+                .forEach(entry => { entry.reverted = true; });
+        });
+
+        if (save) {
+            this.app.dataManager.savePlayersToStorage();
+            this.app.uiManager.updatePlayersList();
+        }
+    }
+
+    // Reverts (or restores) a single adjustment from a player's log
+    toggleAdjustment(playerId, entryId) {
+        const player = this.app.players.find(p => p.id === playerId);
+        const entry = player && (player.formLog || []).find(logEntry => logEntry.id === entryId);
+        if (!entry) return;
+
+        entry.reverted = !entry.reverted;
+        this.app.dataManager.savePlayersToStorage();
+        this.app.uiManager.updatePlayersList();
+    }
+
+    // Collapsible form rating and adjustment log shown on player cards
+    renderFormLog(player) {
+        const log = player.formLog || [];
+        if (log.length === 0) return '';
+
+        const change = this.getFormChange(player);
+        return `
+            <details class="form-log">
+                <summary>
+                    Form rating <strong>${this.getFormRating(player)}</strong>
+                    <span class="form-change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}">(${change > 0 ? '+' : ''}${change})</span>
+                </summary>
+                <ul>
+                    ${[...log].reverse().map(entry => `
+                        <li class="${entry.reverted ? 'reverted' : ''}">
+                            <span class="form-entry-date">${new Date(entry.date).toLocaleDateString()}</span>
+                            <span class="form-entry-result">${this.app.uiManager.escapeHTML(entry.result)}</span>
+                            <span class="form-entry-change">${entry.change > 0 ? '+' : ''}${entry.change}</span>
+                            <button onclick="toggleFormAdjustment(${player.id}, ${entry.id})" class="form-entry-toggle">
+                                ${entry.reverted ? 'Restore' : 'Revert'}
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    // Reads the form rating controls into settings and persists them
+    saveFormSettings() {
+        const settings = this.getFormSettings();
+        const enabledCheckbox = document.getElementById('useFormRating');
+        const kFactorInput = document.getElementById('formKFactor');
+        const blendInput = document.getElementById('formBlend');
+
+        if (enabledCheckbox) settings.enabled = enabledCheckbox.checked;
+        if (kFactorInput) {
+            const kFactor = parseFloat(kFactorInput.value);
+            settings.kFactor = isNaN(kFactor) ? settings.kFactor : Math.min(Math.max(kFactor, 0), 10);
+        }
+        if (blendInput) {
+            const blend = parseInt(blendInput.value);
+            settings.blend = isNaN(blend) ? settings.blend : Math.min(Math.max(blend, 0), 100);
+        }
+
+        this.app.settings.formRating = settings;
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateFormControls();
+    }
+
+    // Shows the saved form rating settings in the generation controls
+    updateFormControls() {
+        const settings = this.getFormSettings();
+        const enabledCheckbox = document.getElementById('useFormRating');
+        const kFactorInput = document.getElementById('formKFactor');
+        const blendInput = document.getElementById('formBlend');
+
+        if (enabledCheckbox) enabledCheckbox.checked = settings.enabled;
+        if (kFactorInput) {
+            kFactorInput.value = settings.kFactor;
+            kFactorInput.disabled = !settings.enabled;
+        }
+        if (blendInput) {
+            blendInput.value = settings.blend;
+            blendInput.disabled = !settings.enabled;
+        }
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * FormationManager: Handles formation shapes used for team generation (Logic layer)
+ *
+ * Responsibilities:
+ * 1. Match Formats: 11-a-side and small-sided games (9v9, 7v7, 6v6, 5v5) with squad sizes
+ * 2. Formation Presets: Built-in shapes per format, e.g. 4-3-3 for 11v11 or 2-3-1 for 7v7
+ * 3. Custom Formations: Parsing, validating and saving user-defined shapes
+ * 4. Formation Templates: Converts a shape string into per-line player limits
+ * 5. Formation Picker: Keeps the Generate Teams dropdowns in sync with settings
+ *
+ * Shape Format:
+ * A shape lists outfield lines from defence to attack, e.g. "4-2-3-1".
+ * The first line is the defence, the last line is the attack and every line
+ * in between belongs to the midfield (rendered as separate rows on the pitch).
+ */
+
+// Supported match formats: players on the pitch (including the goalkeeper), default bench size
+// and the formation presets offered for that format (the first one is the default)
+const MATCH_FORMATS = {
+    '11v11': { label: '11-a-side', onPitch: 11, benchSize: 5, formations: ['4-3-3', '4-4-2', '4-2-3-1', '3-5-2', '5-3-2'] },
+    '9v9': { label: '9-a-side', onPitch: 9, benchSize: 4, formations: ['3-3-2', '3-2-3', '4-3-1', '2-4-2'] },
+    '7v7': { label: '7-a-side', onPitch: 7, benchSize: 3, formations: ['2-3-1', '3-2-1', '2-1-2-1', '3-1-2'] },
+    '6v6': { label: '6-a-side', onPitch: 6, benchSize: 2, formations: ['2-2-1', '2-1-2', '1-2-2', '3-1-1'] },
+    '5v5': { label: '5-a-side', onPitch: 5, benchSize: 2, formations: ['2-1-1', '1-2-1', '2-2', '1-1-2'] }
+};
+
+class FormationManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing settings and UI updates
+    }
+
+    // Returns the match format chosen in settings, falling back to 11-a-side
+    getMatchFormat() {
+        const formatId = MATCH_FORMATS[this.app.settings.matchFormat] ? this.app.settings.matchFormat : '11v11';
+        const format = MATCH_FORMATS[formatId];
+        const benchSize = Number.isInteger(this.app.settings.benchSize) ? this.app.settings.benchSize : format.benchSize;
+
+        return {
+            id: formatId,
+            ...format,
+            benchSize: benchSize,
+            outfieldPlayers: format.onPitch - 1, // Everyone on the pitch except the goalkeeper
+            squadSize: format.onPitch + benchSize
+        };
+    }
+
+    // Switches match format, resetting formation and bench size to that format's defaults
+    setMatchFormat(formatId) {
+        if (!MATCH_FORMATS[formatId]) return;
+
+        this.app.settings.matchFormat = formatId;
+        this.app.settings.formation = MATCH_FORMATS[formatId].formations[0];
+        this.app.settings.benchSize = MATCH_FORMATS[formatId].benchSize;
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateFormationPicker();
+        this.app.teamGenerator.checkTeamSettingsChange();
+    }
+
+    // Sets how many substitutes each team may carry in the current match format
+    setBenchSize(benchSize) {
+        const size = parseInt(benchSize);
+        if (isNaN(size) || size < 0) return;
+
+        this.app.settings.benchSize = size;
+        this.app.dataManager.saveSettingsToStorage();
+        this.app.teamGenerator.checkTeamSettingsChange();
+    }
+
+    // Formation presets for the current match format
+    getPresetShapes() {
+        return this.getMatchFormat().formations;
+    }
+
+    /**
+     * Parses a formation shape string into its individual line sizes
+     *
+     * Accepts separators "-", " " or "." so "4 4 2" and "4.4.2" are read as "4-4-2".
+     * Returns null when the shape cannot be read.
+     */
+    parseShape(shape) {
+        if (typeof shape !== 'string') return null;
+
+        const lines = shape.trim().split(/[\s.\-]+/).filter(part => part !== '').map(Number);
+        if (lines.length === 0 || lines.some(count => !Number.isInteger(count))) return null;
+
+        return lines;
+    }
+
+    /**
+     * Validates a formation shape and explains what is wrong with it
+     *
+     * Rules:
+     * - At least two outfield lines (a defence and an attack)
+     * - Every line holds at least one player
+     * - Lines add up to the number of outfield players in the current match format
+     */
+    validateShape(shape) {
+        const lines = this.parseShape(shape);
+        const outfieldPlayers = this.getMatchFormat().outfieldPlayers;
+
+        if (!lines) {
+            return { valid: false, error: 'Use numbers separated by dashes, e.g. 4-4-2' };
+        }
+        if (lines.length < 2) {
+            return { valid: false, error: 'A formation needs at least a defensive and an attacking line' };
+        }
+        if (lines.some(count => count < 1)) {
+            return { valid: false, error: 'Every line needs at least one player' };
+        }
+
+        const total = lines.reduce((sum, count) => sum + count, 0);
+        if (total !== outfieldPlayers) {
+            return { valid: false, error: `Lines must add up to ${outfieldPlayers} outfield players (currently ${total})` };
+        }
+
+        return { valid: true, shape: lines.join('-') };
+    }
+
+    /**
+     * Builds the formation template used by the generator and the pitch view
+     *
+     * Example: "4-2-3-1" → limits { defenders: 4, midfielders: 5, forwards: 1 }
+     * with midfieldRows [2, 3] (deepest row first)
+     */
+    getFormationTemplate(shape = this.getCurrentShape()) {
+        const lines = this.parseShape(shape) || this.parseShape(this.getPresetShapes()[0]);
+        const midfieldRows = lines.slice(1, -1);
+
+        return {
+            shape: lines.join('-'),
+            lines: lines,
+            limits: {
+                goalkeeper: 1,
+                defenders: lines[0],
+                midfielders: midfieldRows.reduce((sum, count) => sum + count, 0),
+                forwards: lines[lines.length - 1]
+            },
+            midfieldRows: midfieldRows
+        };
+    }
+
+    // Returns the formation currently chosen in settings, falling back to the format's default
+    getCurrentShape() {
+        const shape = this.app.settings.formation;
+        return this.getAvailableShapes().includes(shape) ? shape : this.getPresetShapes()[0];
+    }
+
+    // All shapes the user can pick from: presets followed by saved custom shapes that fit the match format
+    getAvailableShapes() {
+        const presets = this.getPresetShapes();
+        const customShapes = (this.app.settings.customFormations || []).filter(shape =>
+            !presets.includes(shape) && this.validateShape(shape).valid
+        );
+        return [...presets, ...customShapes];
+    }
+
+    // Stores the chosen formation and re-checks whether existing teams are still valid
+    setFormation(shape) {
+        if (!this.getAvailableShapes().includes(shape)) return;
+
+        this.app.settings.formation = shape;
+        this.app.dataManager.saveSettingsToStorage();
+        this.app.teamGenerator.checkTeamSettingsChange();
+    }
+
+    // Validates and saves a user-defined formation, then selects it
+    addCustomFormation(shape) {
+        const result = this.validateShape(shape);
+
+        if (!result.valid) {
+            alert(`Invalid formation: ${result.error}`);
+            return false;
+        }
+
+        if (!this.getAvailableShapes().includes(result.shape)) {
+            this.app.settings.customFormations = [...(this.app.settings.customFormations || []), result.shape];
+        }
+
+        this.app.settings.formation = result.shape;
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateFormationPicker();
+        this.app.teamGenerator.checkTeamSettingsChange();
+        return true;
+    }
+
+    // Removes a saved custom formation (presets cannot be removed)
+    removeCustomFormation(shape) {
+        if (this.getPresetShapes().includes(shape)) return;
+
+        this.app.settings.customFormations = (this.app.settings.customFormations || []).filter(custom => custom !== shape);
+        if (this.app.settings.formation === shape) {
+            this.app.settings.formation = this.getPresetShapes()[0];
+        }
+
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateFormationPicker();
+        this.app.teamGenerator.checkTeamSettingsChange();
+    }
+
+    // Rebuilds the match format, bench size and formation controls from settings
+    updateFormationPicker() {
+        const matchFormatSelect = document.getElementById('matchFormat');
+        const benchSizeInput = document.getElementById('benchSize');
+        const formationSelect = document.getElementById('formationSelect');
+        const removeButton = document.getElementById('removeFormationBtn');
+        const customFormationInput = document.getElementById('customFormation');
+        if (!formationSelect) return;
+
+        const matchFormat = this.getMatchFormat();
+        if (matchFormatSelect) matchFormatSelect.value = matchFormat.id;
+        if (benchSizeInput) benchSizeInput.value = matchFormat.benchSize;
+        if (customFormationInput) {
+            customFormationInput.placeholder = `e.g. ${matchFormat.formations[matchFormat.formations.length - 1]}`;
+        }
+
+        const presets = this.getPresetShapes();
+        const currentShape = this.getCurrentShape();
+        const customShapes = this.getAvailableShapes().filter(shape => !presets.includes(shape));
+
+        formationSelect.innerHTML = `
+            <optgroup label="${matchFormat.label} presets">
+                ${presets.map(shape => `<option value="${shape}">${shape}</option>`).join('')}
+            </optgroup>
+            ${customShapes.length > 0 ? `
+                <optgroup label="Custom">
+                    ${customShapes.map(shape => `<option value="${shape}">${shape}</option>`).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+        formationSelect.value = currentShape;
+
+        // Only custom formations can be removed
+        if (removeButton) {
+            removeButton.style.display = presets.includes(currentShape) ? 'none' : 'inline-block';
+        }
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * KeeperRotationManager: Rotating goalkeeper schedule for teams without a keeper (Logic layer)
+ *
+ * Responsibilities:
+ * 1. Schedule: Splits the match into time blocks (e.g. 10 minutes) and puts one outfield player in goal per block
+ * 2. Fairness: The starters take turns (bench players never come on without a substitution plan); nobody
+ *    keeps goal twice before every starter has had a turn, and nobody keeps goal in two blocks in a row
+ *    (stand-ins with the best goalkeeping rating go first). A lone starter cannot rotate, so that player
+ *    keeps goal in a single block for the whole match
+ * 3. Updates: Rebuilds the schedules after generation, manual edits and settings changes
+ * 4. Settings UI: Keeps the rotating keeper controls in sync with settings
+ *
+ * A schedule is only built for teams left without a goalkeeper (fewer GK-capable players than teams).
+ * Teams with a substitution plan get their keepers re-picked along it (SubstitutionManager.buildPlan),
+ * so updateSchedules always runs before SubstitutionManager.updatePlans.
+ *
+ * Data Structure:
+ * team.keeperRotation: { matchLength, blockLength, blocks } or null, where blocks are
+ * { start, end, playerId } with start and end in minutes
+ */
+
+class KeeperRotationManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing teams and settings
+    }
+
+    // Rotating keeper settings, filling in defaults for anything missing
+    getRotationSettings() {
+        return { enabled: true, blockLength: 10, ...(this.app.settings.keeperRotation || {}) };
+    }
+
+    // Match length in minutes (shared with substitution plans, saved by SubstitutionManager)
+    getMatchLength() {
+        return this.app.settings.matchLength || 60;
+    }
+
+    // Builds or clears the schedule of every given team
+    updateSchedules(teams) {
+        teams.forEach(team => {
+            team.keeperRotation = this.buildSchedule(team);
+        });
+    }
+
+    /**
+     * Schedule for one team, or null when the team has a keeper, the option is off or nobody starts
+     *
+     * Every block goes to the starter picked by pickKeeper, so turns differ by at most one block
+     * per player and nobody keeps goal twice in a row. A lone starter gets a single block for the whole
+     * match rather than back-to-back blocks.
+     */
+    buildSchedule(team) {
+        const settings = this.getRotationSettings();
+        if (!settings.enabled || team.formation.goalkeeper) return null;
+
+        const starters = this.app.teamGenerator.getTeamSlots(team)
+            .filter(slot => slot.line !== 'substitutes')
+            .map(slot => slot.player);
+        if (starters.length === 0) return null;
+
+        const matchLength = this.getMatchLength();
+        const blockLength = Math.min(settings.blockLength, matchLength);
+        if (starters.length === 1) {
+            return { matchLength, blockLength, blocks: [{ start: 0, end: matchLength, playerId: starters[0].id }] };
+        }
+
+        const goalMinutes = new Map();
+        let keeper = null;
+        const blocks = this.getBlockTimes(matchLength, blockLength).map(({ start, end }) => {
+            keeper = this.pickKeeper(starters, goalMinutes, keeper);
+            goalMinutes.set(keeper.id, (goalMinutes.get(keeper.id) || 0) + end - start);
+            return { start, end, playerId: keeper.id };
+        });
+
+        return { matchLength, blockLength, blocks };
+    }
+
+    /**
+     * Start and end minute of every block of a match
+     *
+     * When the match length is not a multiple of the block length, the last block is shorter
+     * (or longer, for a leftover under half a block).
+     */
+    getBlockTimes(matchLength, blockLength) {
+        const blocks = [];
+        for (let start = 0; start < matchLength; start += blockLength) {
+            // A last stretch shorter than half a block is added to the block before it
+            if (blocks.length > 0 && matchLength - start < blockLength / 2) {
+                blocks[blocks.length - 1].end = matchLength;
+                break;
+            }
+            blocks.push({ start: start, end: Math.min(start + blockLength, matchLength) });
+        }
+        return blocks;
+    }
+
+    /**
+     * Keeper for the next block: anyone but the previous keeper (unless nobody else is available),
+     * then the fewest minutes in goal so far, the best goalkeeping rating and the name
+     */
+    pickKeeper(candidates, goalMinutes, previousKeeper) {
+        const playerManager = this.app.playerManager;
+        return [...candidates].sort((a, b) =>
+            (a === previousKeeper) - (b === previousKeeper) ||
+            (goalMinutes.get(a.id) || 0) - (goalMinutes.get(b.id) || 0) ||
+            playerManager.getPlayerRatingForPosition(b, 'GK') - playerManager.getPlayerRatingForPosition(a, 'GK') ||
+            a.name.localeCompare(b.name)
+        )[0];
+    }
+
+    // Schedule blocks with their players (blocks whose player left the team are skipped)
+    getScheduleEntries(team) {
+        if (!team.keeperRotation) return [];
+
+        return team.keeperRotation.blocks
+            .map(block => ({ ...block, player: team.players.find(player => player.id === block.playerId) }))
+            .filter(entry => entry.player);
+    }
+
+    // Goalkeeping rating of the rotation, weighted by minutes in goal (0 without a schedule)
+    getAverageKeeperRating(team) {
+        const entries = this.getScheduleEntries(team);
+        const minutes = entries.reduce((sum, entry) => sum + entry.end - entry.start, 0);
+        if (minutes === 0) return 0;
+
+        const weightedRating = entries.reduce((sum, entry) =>
+            sum + this.app.playerManager.getPlayerRatingForPosition(entry.player, 'GK') * (entry.end - entry.start), 0
+        );
+        return Math.round(weightedRating / minutes);
+    }
+
+    // Time block label, e.g. "10–20'"
+    formatBlock(block) {
+        return `${block.start}–${block.end}'`;
+    }
+
+    // Reads the rotating keeper controls into settings, persists them and updates the teams on display
+    saveRotationSettings() {
+        const settings = this.getRotationSettings();
+        const enabledCheckbox = document.getElementById('useKeeperRotation');
+        const blockLengthInput = document.getElementById('keeperBlockLength');
+
+        if (enabledCheckbox) settings.enabled = enabledCheckbox.checked;
+        if (blockLengthInput) {
+            const blockLength = parseInt(blockLengthInput.value);
+            settings.blockLength = isNaN(blockLength) ? settings.blockLength : Math.min(Math.max(blockLength, 1), 90);
+        }
+
+        this.app.settings.keeperRotation = settings;
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateRotationControls();
+
+        // Shared line-ups keep the schedule they were shared with
+        if (!this.app.sharedView && this.app.teams.length > 0) {
+            this.updateSchedules(this.app.teams);
+            this.app.substitutionManager.updatePlans(this.app.teams); // Plans pick the keepers and keep them on
+            this.app.uiManager.updateTeamsDisplay();
+        }
+    }
+
+    // Shows the saved rotating keeper settings in the generation controls
+    updateRotationControls() {
+        const settings = this.getRotationSettings();
+        const enabledCheckbox = document.getElementById('useKeeperRotation');
+        const blockLengthInput = document.getElementById('keeperBlockLength');
+
+        if (enabledCheckbox) enabledCheckbox.checked = settings.enabled;
+        if (blockLengthInput) {
+            blockLengthInput.value = settings.blockLength;
+            blockLengthInput.disabled = !settings.enabled;
+        }
+    }
+}
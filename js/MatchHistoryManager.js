@@ -0,0 +1,254 @@
+/**
+ * MatchHistoryManager: Handles saved matches and their results (Model layer)
+ *
+ * Responsibilities:
+ * 1. Saving Matches: Stores the generated line-ups with date, match format and formation
+ * 2. Results: Records and edits the final score of a saved match (feeding form ratings)
+ * 3. Re-opening: Restores a saved match's teams into the Generate Teams view
+ * 4. History List: Keeps the History tab in sync with saved matches
+ *
+ * Data Structure:
+ * Match objects contain: id, date (ISO string), matchFormat, formation, seed, teams, score
+ * - teams: snapshots of each team ({ id, name, shape, targetSize, manuallyEdited, slots, keeperRotation,
+ *   substitutionPlan }) where slots are { line, player } copies, so a match survives later roster edits,
+ *   keeperRotation is the team's rotating keeper schedule and substitutionPlan its substitution plan (or null)
+ * - score: goals per team in team order, or null until a result is entered
+ */
+
+class MatchHistoryManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing teams, matches and storage
+    }
+
+    /**
+     * Saves the currently displayed teams as a match
+     *
+     * A re-opened match is updated in place (e.g. after drag-and-drop edits),
+     * keeping its date and score; freshly generated teams create a new match.
+     */
+    saveCurrentMatch() {
+        if (!this.app.teams || this.app.teams.length === 0) {
+            alert('Please generate teams first before saving a match.');
+            return null;
+        }
+
+        const teams = this.app.teams.map(team => this.createTeamSnapshot(team));
+        const openMatch = this.getMatch(this.app.openMatchId);
+
+        if (openMatch) {
+            openMatch.teams = teams;
+            openMatch.formation = teams[0].shape;
+            openMatch.seed = this.app.generationSeed;
+            if (!openMatch.score || openMatch.score.length !== teams.length) openMatch.score = null;
+        } else {
+            const match = {
+                id: Date.now(),
+                date: new Date().toISOString(),
+                matchFormat: this.app.teams[0].matchFormat,
+                formation: teams[0].shape,
+                seed: this.app.generationSeed, // Lets anyone re-run the draw later
+                teams: teams,
+                score: null
+            };
+            this.app.matches.unshift(match); // Newest first
+            this.app.openMatchId = match.id;
+        }
+
+        this.app.dataManager.saveMatchesToStorage();
+        this.updateHistoryList();
+        this.app.uiManager.updateTeamsDisplay();
+
+        alert(openMatch ? 'Saved match updated.' : 'Match saved. Enter the final score in the History tab.');
+        return this.getMatch(this.app.openMatchId);
+    }
+
+    // Copies a team's line-up into a plain object that can be stored as JSON
+    createTeamSnapshot(team) {
+        return {
+            id: team.id,
+            name: team.name,
+            shape: team.shape,
+            targetSize: team.targetSize,
+            manuallyEdited: !!team.manuallyEdited,
+            slots: this.app.teamGenerator.getTeamSlots(team).map(slot => ({
+                line: slot.line,
+                player: JSON.parse(JSON.stringify(slot.player))
+            })),
+            keeperRotation: team.keeperRotation ? JSON.parse(JSON.stringify(team.keeperRotation)) : null,
+            substitutionPlan: team.substitutionPlan ? JSON.parse(JSON.stringify(team.substitutionPlan)) : null
+        };
+    }
+
+    // Rebuilds a full team object (formation lines, bench, stats) from a stored snapshot
+    restoreTeam(snapshot, matchFormat) {
+        const team = {
+            id: snapshot.id,
+            name: snapshot.name,
+            shape: snapshot.shape,
+            matchFormat: matchFormat,
+            players: [],
+            formation: {
+                goalkeeper: null,
+                defenders: [],
+                midfielders: [],
+                forwards: []
+            },
+            substitutes: [],
+            totalRating: 0,
+            averageRating: 0,
+            targetSize: snapshot.targetSize,
+            manuallyEdited: snapshot.manuallyEdited,
+            keeperRotation: snapshot.keeperRotation || null,    // Matches saved before rotating keepers have none
+            substitutionPlan: snapshot.substitutionPlan || null // Matches saved before substitution plans have none
+        };
+
+        snapshot.slots.forEach(({ line, player }) => {
+            const copy = { ...player };
+            if (line === 'goalkeeper') {
+                team.formation.goalkeeper = copy;
+            } else if (line === 'substitutes') {
+                team.substitutes.push(copy);
+            } else {
+                team.formation[line].push(copy);
+            }
+            team.players.push(copy);
+        });
+
+        this.app.teamGenerator.calculateTeamStats(team);
+        return team;
+    }
+
+    // Finds a saved match by id
+    getMatch(matchId) {
+        return this.app.matches.find(match => match.id === matchId) || null;
+    }
+
+    // Shows a saved match's teams in the Generate Teams tab
+    reopenMatch(matchId) {
+        const match = this.getMatch(matchId);
+        if (!match) return;
+
+        if (this.app.sharedView) this.app.exportManager.closeSharedView(); // The match replaces the user's own teams
+        this.app.teams = match.teams.map(snapshot => this.restoreTeam(snapshot, match.matchFormat));
+        this.app.openMatchId = match.id;
+        this.app.generationSeed = match.seed || null;
+        this.app.leftOutPlayers = [];
+        this.app.balanceRefinement = null;
+        this.app.lockedPlayerIds.clear();
+
+        const constraints = this.app.constraintManager.getActiveConstraints(this.app.teams.flatMap(team => team.players));
+        this.app.unmetConstraints = this.app.constraintManager.getViolations(
+            constraints, this.app.constraintManager.getTeamAssignments(this.app.teams)
+        );
+
+        this.app.uiManager.updateTeamsDisplay();
+        this.app.teamGenerator.disableGenerateButton();
+        this.app.uiManager.switchTab('generate-teams');
+    }
+
+    /**
+     * Records the final score of a match
+     *
+     * Validation:
+     * - One score per team
+     * - Scores are whole numbers of 0 or more (empty inputs clear the result)
+     */
+    updateScore(matchId, goals) {
+        const match = this.getMatch(matchId);
+        if (!match) return false;
+
+        if (goals.every(value => value === '' || value === null)) {
+            match.score = null;
+        } else {
+            const score = goals.map(value => parseInt(value));
+            if (score.length !== match.teams.length || score.some(value => isNaN(value) || value < 0)) {
+                alert('Please enter a score of 0 or more for every team.');
+                return false;
+            }
+            match.score = score;
+        }
+
+        this.app.dataManager.saveMatchesToStorage();
+        this.app.formRatingManager.recordMatchResult(match); // Re-applies form adjustments for the new score
+        this.updateHistoryList();
+        return true;
+    }
+
+    // Deletes a saved match after confirmation
+    deleteMatch(matchId) {
+        const match = this.getMatch(matchId);
+        if (!match) return;
+
+        if (!confirm(`Delete the match from ${this.formatMatchDate(match.date)}? This cannot be undone.`)) return;
+
+        this.app.matches = this.app.matches.filter(saved => saved.id !== matchId);
+        if (this.app.openMatchId === matchId) this.app.openMatchId = null;
+        this.app.formRatingManager.revertMatchAdjustments(matchId); // A deleted match no longer counts towards form
+
+        this.app.dataManager.saveMatchesToStorage();
+        this.updateHistoryList();
+        this.app.uiManager.updateTeamsDisplay();
+    }
+
+    // Describes a match result, e.g. "Team 1 3 – 2 Team 2" (or the winner for 3+ teams)
+    describeResult(match) {
+        if (!match.score) return 'No result yet';
+
+        const best = Math.max(...match.score);
+        const winners = match.teams.filter((_, i) => match.score[i] === best);
+        if (match.teams.length === 2) {
+            return `${match.teams[0].name} ${match.score[0]} – ${match.score[1]} ${match.teams[1].name}`;
+        }
+        return winners.length > 1 ? 'Draw' : `${winners[0].name} won`;
+    }
+
+    // Formats an ISO date for the history list
+    formatMatchDate(isoDate) {
+        return new Date(isoDate).toLocaleString(undefined, {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    // Renders the History tab: one card per saved match with score inputs and actions
+    updateHistoryList() {
+        const historyList = document.getElementById('match-history-list');
+        const matchCount = document.getElementById('matchCount');
+        if (!historyList) return;
+
+        if (matchCount) matchCount.textContent = this.app.matches.length;
+
+        if (this.app.matches.length === 0) {
+            historyList.innerHTML = '<div class="empty-state">No saved matches yet. Generate teams and press "Save Match".</div>';
+            return;
+        }
+
+        const escape = text => this.app.uiManager.escapeHTML(text); // Team names can come from imported files
+        historyList.innerHTML = this.app.matches.map(match => {
+            const formatLabel = MATCH_FORMATS[match.matchFormat] ? MATCH_FORMATS[match.matchFormat].label : match.matchFormat;
+            return `
+                <div class="match-card${match.id === this.app.openMatchId ? ' open' : ''}">
+                    <div class="match-header">
+                        <span class="match-date">${this.formatMatchDate(match.date)}</span>
+                        <span class="match-meta">${escape(formatLabel)} · ${escape(match.formation)}${match.seed ? ` · Seed ${escape(match.seed.seed)}` : ''}</span>
+                    </div>
+                    <div class="match-result">${escape(this.describeResult(match))}</div>
+                    <div class="match-score">
+                        ${match.teams.map((team, i) => `
+                            <label class="match-score-team">
+                                <span>${escape(team.name)} <small>(${team.slots.length} players)</small></span>
+                                <input type="number" min="0" class="match-score-input" data-match-id="${match.id}"
+                                    value="${match.score ? match.score[i] : ''}" placeholder="–">
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="match-actions">
+                        <button onclick="saveMatchScore(${match.id})" class="save-score-btn">Save Score</button>
+                        <button onclick="reopenMatch(${match.id})" class="reopen-match-btn">Re-open</button>
+                        <button onclick="deleteMatch(${match.id})" class="delete-match-btn">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+}
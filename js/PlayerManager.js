@@ -16,12 +16,65 @@
  * - Bulk operations for efficient player management
  */
 
+// Position codes a player can be given (same order as the position checkboxes)
+const PLAYER_POSITIONS = ['GK', 'CB', 'LB', 'RB', 'CDM', 'CM', 'CAM', 'LM', 'RM', 'LW', 'RW', 'ST'];
+
+// Stat keys of outfield and goalkeeper players (each includes the manual overall)
+const OUTFIELD_STAT_KEYS = ['pace', 'shooting', 'passing', 'dribbling', 'defending', 'physical', 'overall'];
+const GK_STAT_KEYS = ['diving', 'handling', 'kicking', 'reflexes', 'speed', 'positioning', 'overall'];
+
+// Stat value used when a stat is not given (same default as the Add Player form)
+const DEFAULT_STAT_VALUE = 75;
+
+// How much each attribute counts towards the overall at a position (each profile sums to 1)
+const POSITION_STAT_WEIGHTS = {
+    GK: { diving: 0.22, handling: 0.2, kicking: 0.1, reflexes: 0.22, speed: 0.06, positioning: 0.2 },
+    CB: { pace: 0.1, shooting: 0.02, passing: 0.08, dribbling: 0.05, defending: 0.5, physical: 0.25 },
+    LB: { pace: 0.22, shooting: 0.03, passing: 0.15, dribbling: 0.1, defending: 0.35, physical: 0.15 },
+    RB: { pace: 0.22, shooting: 0.03, passing: 0.15, dribbling: 0.1, defending: 0.35, physical: 0.15 },
+    CDM: { pace: 0.06, shooting: 0.04, passing: 0.25, dribbling: 0.1, defending: 0.35, physical: 0.2 },
+    CM: { pace: 0.08, shooting: 0.12, passing: 0.35, dribbling: 0.2, defending: 0.13, physical: 0.12 },
+    CAM: { pace: 0.1, shooting: 0.22, passing: 0.3, dribbling: 0.3, defending: 0.02, physical: 0.06 },
+    LM: { pace: 0.25, shooting: 0.12, passing: 0.23, dribbling: 0.25, defending: 0.07, physical: 0.08 },
+    RM: { pace: 0.25, shooting: 0.12, passing: 0.23, dribbling: 0.25, defending: 0.07, physical: 0.08 },
+    LW: { pace: 0.28, shooting: 0.2, passing: 0.14, dribbling: 0.3, defending: 0.02, physical: 0.06 },
+    RW: { pace: 0.28, shooting: 0.2, passing: 0.14, dribbling: 0.3, defending: 0.02, physical: 0.06 },
+    ST: { pace: 0.2, shooting: 0.4, passing: 0.06, dribbling: 0.17, defending: 0.02, physical: 0.15 }
+};
+
+// Position codes of each formation line
+const LINE_POSITIONS = {
+    goalkeeper: ['GK'],
+    defenders: ['CB', 'LB', 'RB'],
+    midfielders: ['CDM', 'CM', 'CAM', 'LM', 'RM'],
+    forwards: ['LW', 'RW', 'ST']
+};
+
+// Rating lost at a position the player is less familiar with (the preferred position loses nothing)
+const POSITION_FAMILIARITY_PENALTY = {
+    listed: 2,     // One of the player's other positions
+    sameLine: 6,   // Not listed, but in the same line as one of the player's positions
+    otherLine: 12  // Not listed and in a line the player never plays
+};
+
+// Keepers playing outfield (or outfield players in goal) drop this much, but not below the minimum
+const EMERGENCY_ROLE_PENALTY = 20;
+const EMERGENCY_ROLE_MIN_RATING = 40;
+
 class PlayerManager {
     // Constructor establishes connection to main application
     constructor(app) {
         this.app = app; // Dependency injection for accessing shared state and other managers
     }
 
+    // New integer player id, unused in the roster and in takenIds (ids handed out for a batch not yet added)
+    createPlayerId(takenIds = new Set()) {
+        let id = Date.now();
+        while (takenIds.has(id) || this.app.players.some(player => player.id === id)) id++;
+        takenIds.add(id);
+        return id;
+    }
+
     /**
      * Adds a new player to the system with comprehensive validation
      * 
@@ -68,37 +121,20 @@ class PlayerManager {
 
         // Create comprehensive player object with conditional statistics
         const player = {
-            id: Date.now(),
+            id: this.createPlayerId(),
             name: name,
             positions: positions,
             preferredPosition: preferredPosition || positions[0], // Use preferred or default to first position
             selected: true // New players are selected by default
         };
 
-        // Collect outfield stats if needed
+        // Collect stats for the selected roles (overalls are calculated unless set manually)
+        player.overallOverride = this.readOverallOverrides();
         if (hasOutfieldPositions) {
-            player.outfieldStats = {
-                pace: parseInt(document.getElementById('pace').value) || 75, // If input is invalid, default to 75
-                shooting: parseInt(document.getElementById('shooting').value) || 75,
-                passing: parseInt(document.getElementById('passing').value) || 75,
-                dribbling: parseInt(document.getElementById('dribbling').value) || 75,
-                defending: parseInt(document.getElementById('defending').value) || 75,
-                physical: parseInt(document.getElementById('physical').value) || 75,
-                overall: parseInt(document.getElementById('overall').value) || 75
-            };
+            player.outfieldStats = this.readFormStats('outfield', positions, player.preferredPosition);
         }
-
-        // Collect goalkeeper stats if needed
         if (isGoalkeeper) {
-            player.gkStats = {
-                diving: parseInt(document.getElementById('gk_diving').value) || 75, // If input is invalid, default to 75
-                handling: parseInt(document.getElementById('gk_handling').value) || 75,
-                kicking: parseInt(document.getElementById('gk_kicking').value) || 75,
-                reflexes: parseInt(document.getElementById('gk_reflexes').value) || 75,
-                speed: parseInt(document.getElementById('gk_speed').value) || 75,
-                positioning: parseInt(document.getElementById('gk_positioning').value) || 75,
-                overall: parseInt(document.getElementById('gk_overall').value) || 75
-            };
+            player.gkStats = this.readFormStats('gk', positions, player.preferredPosition);
         }
 
         // Adds player, updates UI and storage, resets form, and refocuses name input
@@ -118,6 +154,8 @@ class PlayerManager {
     // Allows user to remove a player from the player gallery
     removePlayer(playerId) {
         this.app.players = this.app.players.filter(player => player.id !== playerId); // Allows you to remove a player from the this.app.players array by filtering out the one with the matching id
+        this.app.constraintManager.removeConstraintsForPlayer(playerId); // Constraints cannot outlive their players
+        this.app.lockedPlayerIds.delete(playerId);
         this.app.uiManager.updatePlayersList();
         this.app.dataManager.savePlayersToStorage();
     }
@@ -199,8 +237,17 @@ class PlayerManager {
             document.getElementById('gk_overall').value = player.gkStats.overall;
         }
 
+        // Players saved before overalls were calculated keep a typed-in overall that differs from the calculation
+        const override = player.overallOverride || {
+            outfield: !!player.outfieldStats && player.outfieldStats.overall !== this.calculateOverall(player.outfieldStats, this.getOverallPosition('outfield', player.positions, player.preferredPosition)),
+            gk: !!player.gkStats && player.gkStats.overall !== this.calculateOverall(player.gkStats, 'GK')
+        };
+        document.getElementById('overallOverride').checked = !!override.outfield;
+        document.getElementById('gkOverallOverride').checked = !!override.gk;
+
         // Update stat labels visibility
         this.app.uiManager.updateStatLabels();
+        this.updateOverallPreview();
     }
 
     // Used to update player
@@ -234,17 +281,10 @@ class PlayerManager {
         this.app.playerBeingEdited.positions = positions;
         this.app.playerBeingEdited.preferredPosition = preferredPosition || positions[0];
 
-        // Update outfield stats if needed
+        // Update outfield stats if needed (overalls are calculated unless set manually)
+        this.app.playerBeingEdited.overallOverride = this.readOverallOverrides();
         if (hasOutfieldPositions) {
-            this.app.playerBeingEdited.outfieldStats = {
-                pace: parseInt(document.getElementById('pace').value) || 75,
-                shooting: parseInt(document.getElementById('shooting').value) || 75,
-                passing: parseInt(document.getElementById('passing').value) || 75,
-                dribbling: parseInt(document.getElementById('dribbling').value) || 75,
-                defending: parseInt(document.getElementById('defending').value) || 75,
-                physical: parseInt(document.getElementById('physical').value) || 75,
-                overall: parseInt(document.getElementById('overall').value) || 75
-            };
+            this.app.playerBeingEdited.outfieldStats = this.readFormStats('outfield', positions, this.app.playerBeingEdited.preferredPosition);
         } else {
             // Remove outfield stats if no longer needed
             delete this.app.playerBeingEdited.outfieldStats;
@@ -252,15 +292,7 @@ class PlayerManager {
 
         // Update goalkeeper stats if needed
         if (isGoalkeeper) {
-            this.app.playerBeingEdited.gkStats = {
-                diving: parseInt(document.getElementById('gk_diving').value) || 75,
-                handling: parseInt(document.getElementById('gk_handling').value) || 75,
-                kicking: parseInt(document.getElementById('gk_kicking').value) || 75,
-                reflexes: parseInt(document.getElementById('gk_reflexes').value) || 75,
-                speed: parseInt(document.getElementById('gk_speed').value) || 75,
-                positioning: parseInt(document.getElementById('gk_positioning').value) || 75,
-                overall: parseInt(document.getElementById('gk_overall').value) || 75
-            };
+            this.app.playerBeingEdited.gkStats = this.readFormStats('gk', positions, this.app.playerBeingEdited.preferredPosition);
         } else {
             // Remove GK stats if no longer needed
             delete this.app.playerBeingEdited.gkStats;
@@ -327,6 +359,11 @@ class PlayerManager {
             document.getElementById(stat).value = 75;
         });
 
+        // Overalls go back to being calculated
+        document.getElementById('overallOverride').checked = false;
+        document.getElementById('gkOverallOverride').checked = false;
+        this.updateOverallPreview();
+
         this.app.uiManager.updateStatLabels(); // Update visibility of stat sections
         document.getElementById('playerName').focus();
     }
@@ -348,6 +385,9 @@ class PlayerManager {
         if (confirm(`Are you sure you want to remove all ${this.app.players.length} players?`)) {
             this.app.players = [];
             this.app.teams = [];
+            this.app.constraints = [];
+            this.app.lockedPlayerIds.clear();
+            this.app.dataManager.saveConstraintsToStorage();
             this.app.uiManager.updatePlayersList();
             this.app.uiManager.updateTeamsDisplay(); // This will call enableGenerateButton when teams are empty
             this.app.dataManager.savePlayersToStorage();
@@ -382,6 +422,93 @@ class PlayerManager {
         this.app.dataManager.savePlayersToStorage();
     }
 
+    /**
+     * Position whose weights calculate a stat group's overall
+     *
+     * Goalkeeper stats always use GK; outfield stats use the preferred position,
+     * or the first outfield position for players who prefer goal.
+     */
+    getOverallPosition(group, positions, preferredPosition) {
+        if (group === 'gk') return 'GK';
+        if (preferredPosition && preferredPosition !== 'GK' && POSITION_STAT_WEIGHTS[preferredPosition]) return preferredPosition;
+        return (positions || []).find(position => position !== 'GK' && POSITION_STAT_WEIGHTS[position]) || 'CM';
+    }
+
+    // Weighted average of a stat group's attributes for a position (1-99)
+    calculateOverall(stats, position) {
+        const weights = POSITION_STAT_WEIGHTS[position];
+        const rating = Object.entries(weights).reduce((sum, [stat, weight]) => {
+            const value = stats && typeof stats[stat] === 'number' ? stats[stat] : DEFAULT_STAT_VALUE;
+            return sum + value * weight;
+        }, 0);
+        return Math.min(99, Math.max(1, Math.round(rating)));
+    }
+
+    /**
+     * Completes the overall of an imported stat group ('outfield' or 'gk') and returns whether it is set manually
+     *
+     * A missing overall is calculated from the attributes. A given one counts as set manually when the
+     * file says so (override), or otherwise when it differs from the calculated value.
+     */
+    completeImportedOverall(stats, group, positions, preferredPosition, override) {
+        const calculated = this.calculateOverall(stats, this.getOverallPosition(group, positions, preferredPosition));
+        if (typeof stats.overall !== 'number') {
+            stats.overall = calculated;
+            return false;
+        }
+        return typeof override === 'boolean' ? override : stats.overall !== calculated;
+    }
+
+    // Which overalls the form sets manually
+    readOverallOverrides() {
+        return {
+            outfield: document.getElementById('overallOverride').checked,
+            gk: document.getElementById('gkOverallOverride').checked
+        };
+    }
+
+    /**
+     * Reads a stat group from the form ('outfield' or 'gk')
+     *
+     * Invalid inputs default to DEFAULT_STAT_VALUE. The overall is calculated from the
+     * attributes unless its "Set manually" switch is on.
+     */
+    readFormStats(group, positions, preferredPosition) {
+        const statKeys = group === 'gk' ? GK_STAT_KEYS : OUTFIELD_STAT_KEYS;
+        const inputPrefix = group === 'gk' ? 'gk_' : '';
+        const stats = Object.fromEntries(statKeys.map(stat => [
+            stat, parseInt(document.getElementById(`${inputPrefix}${stat}`).value) || DEFAULT_STAT_VALUE
+        ]));
+
+        if (!this.readOverallOverrides()[group]) {
+            stats.overall = this.calculateOverall(stats, this.getOverallPosition(group, positions, preferredPosition));
+        }
+        return stats;
+    }
+
+    // Shows the calculated overalls in the form while attributes and positions change
+    updateOverallPreview() {
+        const positions = Array.from(document.querySelectorAll('input[name="position"]:checked')).map(cb => cb.value);
+        const preferredPosition = document.getElementById('preferredPosition').value;
+        const overrides = this.readOverallOverrides();
+
+        [['outfield', 'overall', 'overallHint'], ['gk', 'gk_overall', 'gkOverallHint']].forEach(([group, inputId, hintId]) => {
+            const input = document.getElementById(inputId);
+            const hint = document.getElementById(hintId);
+            if (!input) return;
+
+            input.readOnly = !overrides[group];
+            if (overrides[group]) {
+                if (hint) hint.textContent = 'Set manually';
+                return;
+            }
+
+            const position = this.getOverallPosition(group, positions, preferredPosition);
+            input.value = this.readFormStats(group, positions, preferredPosition).overall;
+            if (hint) hint.textContent = `Calculated with ${position} weights`;
+        });
+    }
+
     // Get all selected players
     getSelectedPlayers() {
         return this.app.players.filter(player => player.selected);
@@ -411,25 +538,65 @@ class PlayerManager {
         return 75;
     }
 
-    // Get a player's rating based on the position they are actually playing
+    /**
+     * Get a player's rating at the position they are actually playing
+     *
+     * Accepts a position code (e.g. 'CB') or a line category ('DEF', 'MID', 'ATT'), which rates
+     * the player at their best position in that line.
+     * Rating = the stat group's overall
+     *        + how much better or worse the attributes suit this position than the overall's position
+     *        − a familiarity penalty for positions other than the preferred one
+     */
     getPlayerRatingForPosition(player, assignedPosition) {
-        // If the assigned position is GK and player has GK stats, use GK overall
-        if (assignedPosition === 'GK' && player.gkStats) {
-            return player.gkStats.overall;
+        const lineCategories = { DEF: 'defenders', MID: 'midfielders', ATT: 'forwards' };
+        if (lineCategories[assignedPosition]) {
+            return Math.max(...LINE_POSITIONS[lineCategories[assignedPosition]].map(position => this.getPlayerRatingForPosition(player, position)));
         }
-        
-        // Otherwise use outfield stats if available
-        if (player.outfieldStats) {
-            return player.outfieldStats.overall;
-        }
-        
-        // If no outfield stats but has GK stats (emergency outfield player)
-        if (player.gkStats) {
-            // Penalty for GK playing outfield
-            return Math.max(player.gkStats.overall - 20, 40);
+
+        const inGoal = assignedPosition === 'GK';
+        const stats = inGoal ? player.gkStats : player.outfieldStats;
+
+        // Emergency role: a keeper playing outfield or an outfield player in goal
+        if (!stats) {
+            const otherStats = inGoal ? player.outfieldStats : player.gkStats;
+            if (!otherStats) return DEFAULT_STAT_VALUE; // Fallback
+            return Math.max(otherStats.overall - EMERGENCY_ROLE_PENALTY, EMERGENCY_ROLE_MIN_RATING);
         }
-        
-        // Fallback
-        return 75;
+
+        const overallPosition = this.getOverallPosition(inGoal ? 'gk' : 'outfield', player.positions, player.preferredPosition);
+        const attributeShift = !inGoal && POSITION_STAT_WEIGHTS[assignedPosition]
+            ? this.calculateOverall(stats, assignedPosition) - this.calculateOverall(stats, overallPosition)
+            : 0;
+        const rating = stats.overall + attributeShift - this.getFamiliarityPenalty(player, assignedPosition);
+        return Math.min(99, Math.max(1, Math.round(rating)));
+    }
+
+    // Rating lost at a position, see POSITION_FAMILIARITY_PENALTY
+    getFamiliarityPenalty(player, position) {
+        if (position === player.preferredPosition) return 0;
+        if (player.positions.includes(position)) return POSITION_FAMILIARITY_PENALTY.listed;
+
+        const line = this.getPositionLine(position);
+        const playsLine = player.positions.some(playerPosition => this.getPositionLine(playerPosition) === line);
+        return playsLine && line !== 'goalkeeper' ? POSITION_FAMILIARITY_PENALTY.sameLine : POSITION_FAMILIARITY_PENALTY.otherLine;
+    }
+
+    // Formation line a position code belongs to (see LINE_POSITIONS)
+    getPositionLine(position) {
+        return Object.keys(LINE_POSITIONS).find(line => LINE_POSITIONS[line].includes(position)) || null;
+    }
+
+    // The candidate position with the highest rating (earlier candidates win ties)
+    getBestPosition(player, candidatePositions) {
+        return candidatePositions.reduce((best, position) =>
+            this.getPlayerRatingForPosition(player, position) > this.getPlayerRatingForPosition(player, best) ? position : best
+        );
+    }
+
+    // Position code a player occupies in a team slot (bench players are rated at their preferred position)
+    getSlotPosition(player, line) {
+        if (line === 'goalkeeper') return 'GK';
+        if (!LINE_POSITIONS[line]) return player.preferredPosition || player.positions[0];
+        return player.assignedPosition || this.getBestPosition(player, LINE_POSITIONS[line]);
     }
 }
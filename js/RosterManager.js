@@ -0,0 +1,195 @@
+/**
+ * RosterManager: Handles separate rosters (e.g. "Tuesday 5-a-side", "Sunday league") (Model layer)
+ *
+ * Responsibilities:
+ * 1. Roster List: Creates, renames, duplicates and deletes rosters
+ * 2. Switching: Loads the active roster's players, constraints, settings and match history
+ * 3. First Start: Creates a default roster and moves data saved before rosters existed into it
+ * 4. Roster Switcher: Keeps the header picker in sync with the roster list
+ *
+ * Data Structure:
+ * Roster objects contain: id, name, created (ISO string)
+ * Each roster's data sets are stored under their own storage keys, see DataManager.getStorageKey
+ */
+
+class RosterManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing rosters and storage
+    }
+
+    // Loads the roster list, creating a default roster (with any pre-roster data) on first start
+    loadRosters() {
+        if (this.app.dataManager.loadRostersFromStorage()) return;
+
+        const roster = this.createRosterEntry('My Roster');
+        this.app.rosters = [roster];
+        this.app.activeRosterId = roster.id;
+        this.app.dataManager.migrateLegacyStorage(roster.id);
+        this.app.dataManager.saveRostersToStorage();
+    }
+
+    // New roster entry with a unique id
+    createRosterEntry(name) {
+        let id = Date.now();
+        while (this.app.rosters.some(roster => roster.id === id)) id++;
+        return { id: id, name: name, created: new Date().toISOString() };
+    }
+
+    // The roster currently being edited
+    getActiveRoster() {
+        return this.app.rosters.find(roster => roster.id === this.app.activeRosterId) || null;
+    }
+
+    // Finds a roster by name, ignoring case (names are kept unique)
+    findRosterByName(name, exceptId = null) {
+        return this.app.rosters.find(roster => roster.id !== exceptId && roster.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    // Makes a roster name unique by adding a number, e.g. "Sunday league (2)"
+    getUniqueRosterName(name) {
+        let uniqueName = name;
+        let counter = 2;
+        while (this.findRosterByName(uniqueName)) {
+            uniqueName = `${name} (${counter})`;
+            counter++;
+        }
+        return uniqueName;
+    }
+
+    // Active roster name for file names, e.g. "sunday_league"
+    getFileSlug() {
+        const roster = this.getActiveRoster();
+        const slug = (roster ? roster.name : '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        return slug || 'roster';
+    }
+
+    // Asks for a roster name; returns null when cancelled or invalid
+    promptRosterName(message, defaultName, exceptId = null) {
+        const input = prompt(message, defaultName);
+        if (input === null) return null;
+
+        const name = input.trim();
+        if (!name) {
+            alert('Please enter a roster name.');
+            return null;
+        }
+        if (this.findRosterByName(name, exceptId)) {
+            alert(`A roster named "${name}" already exists.`);
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Adds a roster with the given data sets without switching to it
+     *
+     * Used by imports; data sets left out start empty when the roster is opened.
+     */
+    addRoster(name, data = {}) {
+        const roster = this.createRosterEntry(this.getUniqueRosterName(name));
+        this.app.rosters.push(roster);
+        this.app.dataManager.writeRosterData(roster.id, data);
+        this.app.dataManager.saveRostersToStorage();
+        return roster;
+    }
+
+    // Creates an empty roster and switches to it
+    createRoster() {
+        const name = this.promptRosterName('Name of the new roster:', '');
+        if (!name) return null;
+
+        const roster = this.addRoster(name);
+        this.switchRoster(roster.id);
+        return roster;
+    }
+
+    // Renames the active roster
+    renameRoster() {
+        const roster = this.getActiveRoster();
+        const name = this.promptRosterName('New name for this roster:', roster.name, roster.id);
+        if (!name) return;
+
+        roster.name = name;
+        this.app.dataManager.saveRostersToStorage();
+        this.updateRosterSwitcher();
+    }
+
+    // Copies the active roster (players, constraints, settings and match history) and switches to the copy
+    duplicateRoster() {
+        const source = this.getActiveRoster();
+        const roster = this.addRoster(`${source.name} (copy)`);
+        this.app.dataManager.copyRosterData(source.id, roster.id);
+        this.switchRoster(roster.id);
+        return roster;
+    }
+
+    // Deletes the active roster after confirmation (the last roster cannot be deleted)
+    deleteRoster() {
+        const roster = this.getActiveRoster();
+        if (this.app.rosters.length <= 1) {
+            alert('You need at least one roster. Create another roster before deleting this one.');
+            return;
+        }
+
+        if (!confirm(`Delete the roster "${roster.name}" with its ${this.app.players.length} players and ${this.app.matches.length} saved matches? This cannot be undone.`)) return;
+
+        this.app.rosters = this.app.rosters.filter(saved => saved.id !== roster.id);
+        this.app.dataManager.removeRosterData(roster.id);
+        this.switchRoster(this.app.rosters[0].id);
+    }
+
+    // Makes another roster active and loads its data
+    switchRoster(rosterId) {
+        if (!this.app.rosters.some(roster => roster.id === rosterId)) return;
+
+        if (this.app.sharedView) this.app.exportManager.closeSharedView();
+
+        this.app.activeRosterId = rosterId;
+        this.app.dataManager.saveRostersToStorage();
+        this.loadActiveRoster();
+    }
+
+    // Loads the active roster's data sets and refreshes every view that shows them
+    loadActiveRoster() {
+        // Teams and generation state belong to the previous roster's players
+        this.app.teams = [];
+        this.app.lockedPlayerIds.clear();
+        this.app.openMatchId = null;
+        this.app.generationSeed = null;
+        this.app.leftOutPlayers = [];
+        this.app.balanceRefinement = null;
+        this.app.unmetConstraints = [];
+        this.app.playerBeingEdited = null;
+        this.app.lastGenerationPlayerCount = null;
+
+        this.app.dataManager.loadPlayersFromStorage();    // Restore the roster's players
+        this.app.dataManager.loadConstraintsFromStorage(); // Restore pairing constraints for the roster
+        this.app.dataManager.loadSettingsFromStorage();   // Restore formation and other generation settings
+        this.app.dataManager.loadMatchesFromStorage();    // Restore saved matches for the History tab
+
+        this.app.formationManager.updateFormationPicker(); // Show saved formation choice
+        this.app.teamGenerator.updateBalanceControls();    // Show saved balance refinement settings
+        this.app.formRatingManager.updateFormControls();   // Show saved form rating settings
+        this.app.keeperRotationManager.updateRotationControls(); // Show saved rotating keeper settings
+        this.app.substitutionManager.updateSubstitutionControls(); // Show saved match length and substitution settings
+        this.app.uiManager.updatePlayersList();            // Render loaded players
+        this.app.matchHistoryManager.updateHistoryList();  // Render saved matches
+        this.app.uiManager.updateTeamsDisplay();           // Clear the previous roster's teams
+        this.app.undoManager.reset();                      // Undo history belongs to the previous roster
+        this.updateRosterSwitcher();
+    }
+
+    // Renders the roster picker in the header
+    updateRosterSwitcher() {
+        const rosterSelect = document.getElementById('rosterSelect');
+        const deleteButton = document.getElementById('deleteRosterBtn');
+        if (!rosterSelect) return;
+
+        rosterSelect.innerHTML = this.app.rosters.map(roster => `
+            <option value="${roster.id}"${roster.id === this.app.activeRosterId ? ' selected' : ''}>${this.app.uiManager.escapeHTML(roster.name)}</option>
+        `).join('');
+
+        if (deleteButton) deleteButton.disabled = this.app.rosters.length <= 1;
+    }
+}
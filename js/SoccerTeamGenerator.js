@@ -9,23 +9,47 @@ class SoccerTeamGenerator {
      * 1. Set up core application state
      * 2. Initialize all manager classes with dependency injection
      * 3. Set up event listeners for user interactions
-     * 4. Load persisted data from localStorage
+     * 4. Load persisted data once storage (IndexedDB or localStorage) is ready
      */
 
     constructor() {
         // Core application state - acts as a shared data store between modules
         this.players = [];                     // Array of player objects with stats and positions
+        this.constraints = [];                 // "Keep together" / "keep apart" pairing constraints between players
         this.teams = [];                       // Generated teams with formation structures
         this.currentTab = 'add-players';       // Current active UI tab for navigation
         this.playerBeingEdited = null;         // Reference to player currently being edited
         this.lastGenerationPlayerCount = null; // Used for change detection in team generation
+        this.leftOutPlayers = [];              // Players who did not fit into any squad in the last generation
+        this.balanceRefinement = null;         // Result of the last post-draft balance refinement (spread before/after)
+        this.unmetConstraints = [];            // Pairing constraints the last generation could not meet
+        this.lockedPlayerIds = new Set();      // Players pinned to their current team when regenerating
+        this.matches = [];                     // Saved matches (line-ups and results) shown in the History tab
+        this.openMatchId = null;               // Saved match currently shown in the Generate Teams tab
+        this.generationSeed = null;            // Seed (and locked player count) of the teams on display
+        this.sharedView = false;               // True while a read-only line-up from a share link is shown
+        this.ownTeamsView = null;              // The user's teams and generation state, kept aside during a shared view
+        this.settings = {};                    // Generation settings (match format, formation, custom formations)
+        this.rosters = [];                     // Separate rosters ({ id, name, created }), each with its own data
+        this.activeRosterId = null;            // Roster whose players, settings and matches are loaded
         
         // Dependency Injection: Initialize all manager classes with reference to main app
         // This creates a centralized communication hub between modules
+        this.storageManager = new StorageManager(this); // Handles IndexedDB / localStorage persistence
         this.playerManager = new PlayerManager(this);   // Handles player operations
         this.teamGenerator = new TeamGenerator(this);   // Implements team generation algorithms
         this.uiManager = new UIManager(this);           // Manages all UI updates and rendering
         this.dataManager = new DataManager(this);       // Handles data persistence and I/O
+        this.formationManager = new FormationManager(this); // Handles formation shapes and templates
+        this.constraintManager = new ConstraintManager(this); // Handles keep together / keep apart constraints
+        this.matchHistoryManager = new MatchHistoryManager(this); // Handles saved matches and results
+        this.formRatingManager = new FormRatingManager(this); // Handles result-driven form ratings
+        this.keeperRotationManager = new KeeperRotationManager(this); // Handles rotating keeper schedules
+        this.substitutionManager = new SubstitutionManager(this); // Handles substitution and playing-time plans
+        this.exportManager = new ExportManager(this);   // Handles share links and image export
+        this.csvManager = new CsvManager(this);         // Handles roster CSV import and export
+        this.rosterManager = new RosterManager(this);   // Handles separate rosters and switching between them
+        this.undoManager = new UndoManager(this);       // Handles undo/redo of roster changes
         
         // Initialize event listeners after all managers are created
         this.initializeEventListeners();
@@ -51,9 +75,18 @@ class SoccerTeamGenerator {
             checkbox.addEventListener('change', () => {
                 this.uiManager.updateStatLabels();               // Show/hide relevant stat sections
                 this.uiManager.updatePreferredPositionOptions(); // Update dropdown options
+                this.playerManager.updateOverallPreview();       // Overall weights follow the position
             });
         });
 
+        // Calculated overalls update live as attributes, the preferred position or the override switches change
+        document.querySelectorAll('#outfield-stats input, #goalkeeper-stats input').forEach(input => {
+            if (input.id === 'overall' || input.id === 'gk_overall') return;
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => this.playerManager.updateOverallPreview());
+        });
+        document.getElementById('preferredPosition').addEventListener('change', () => this.playerManager.updateOverallPreview());
+        this.playerManager.updateOverallPreview();
+
         // Team Generation Change Detection: Smart UI state management
         // Automatically enables/disables generation button based on settings changes
         const teamCountSelect = document.getElementById('teamCount');
@@ -79,10 +112,128 @@ class SoccerTeamGenerator {
             });
         }
 
-        // Application Initialization: Load persisted data and set initial UI state
-        this.dataManager.loadPlayersFromStorage();    // Restore user's previous session
-        this.uiManager.updatePlayersList();           // Render loaded players
-        this.uiManager.switchTab('add-players');      // Set default tab for new users
+        // Match format and bench size: Changing either resizes squads and invalidates generated teams
+        const matchFormatSelect = document.getElementById('matchFormat');
+        if (matchFormatSelect) {
+            matchFormatSelect.addEventListener('change', () => {
+                this.formationManager.setMatchFormat(matchFormatSelect.value);
+            });
+        }
+
+        const benchSizeInput = document.getElementById('benchSize');
+        if (benchSizeInput) {
+            benchSizeInput.addEventListener('change', () => {
+                this.formationManager.setBenchSize(benchSizeInput.value);
+                this.formationManager.updateFormationPicker();
+            });
+        }
+
+        // Formation picker: Changing the shape invalidates previously generated teams
+        const formationSelect = document.getElementById('formationSelect');
+        if (formationSelect) {
+            formationSelect.addEventListener('change', () => {
+                this.formationManager.setFormation(formationSelect.value);
+                this.formationManager.updateFormationPicker();
+            });
+        }
+
+        // Seed input: Enter key re-runs the typed seed
+        const seedInput = document.getElementById('seedInput');
+        if (seedInput) {
+            seedInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') rerunSeed();
+            });
+        }
+
+        // Custom formation input: Enter key saves the shape
+        const customFormationInput = document.getElementById('customFormation');
+        if (customFormationInput) {
+            customFormationInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') addCustomFormation();
+            });
+        }
+
+        // Balance refinement controls: Saved immediately, applied on the next generation
+        ['refineBalance', 'balanceTolerance', ...BALANCE_ATTRIBUTES.map(attribute => `weight_${attribute}`)].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => this.teamGenerator.saveBalanceSettings());
+            }
+        });
+
+        // Form rating controls: Saved immediately, used by the next result and generation
+        ['useFormRating', 'formKFactor', 'formBlend'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => this.formRatingManager.saveFormSettings());
+            }
+        });
+
+        // Rotating keeper controls: Saved immediately, schedules of the teams on display are rebuilt
+        ['useKeeperRotation', 'keeperBlockLength'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => this.keeperRotationManager.saveRotationSettings());
+            }
+        });
+
+        // Match length and substitution controls: Saved immediately, plans of the teams on display are rebuilt
+        const matchLengthInput = document.getElementById('matchLength');
+        if (matchLengthInput) {
+            matchLengthInput.addEventListener('change', () => this.substitutionManager.saveMatchLength());
+        }
+        ['useSubstitutionPlan', 'substitutionWindows'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => this.substitutionManager.saveSubstitutionSettings());
+            }
+        });
+
+        // Roster switcher in the header
+        const rosterSelect = document.getElementById('rosterSelect');
+        if (rosterSelect) {
+            rosterSelect.addEventListener('change', (e) => this.rosterManager.switchRoster(Number(e.target.value)));
+        }
+
+        // Undo/redo shortcuts: Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y (Cmd on macOS); text fields keep their own undo
+        // (checkboxes, buttons and selects do not, so the shortcut still works right after using them)
+        const textEntryTypes = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.isContentEditable || e.target.tagName === 'TEXTAREA') return;
+            if (e.target.tagName === 'INPUT' && textEntryTypes.includes(e.target.type)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoManager.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.undoManager.redo();
+            }
+        });
+
+        // Modal dialog: Escape closes it
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.uiManager.closeModal();
+        });
+
+        // Generated teams can be edited by dragging player cards between lines and teams
+        this.uiManager.initializeTeamDragAndDrop();
+
+        // Application Initialization: Load persisted data (storage opens asynchronously) and set initial UI state
+        this.storageManager.init().then(() => {
+            this.rosterManager.loadRosters();             // Restore the roster list (or create the first roster)
+            this.rosterManager.loadActiveRoster();        // Restore the active roster's players, settings and matches
+            this.uiManager.switchTab('add-players');      // Set default tab for new users
+            
+            // Share links: open a shared line-up on load and whenever a new link is pasted into the address bar
+            this.exportManager.loadSharedTeamsFromUrl();
+            window.addEventListener('hashchange', () => this.exportManager.loadSharedTeamsFromUrl());
+        }).catch(error => {
+            console.error('Error loading saved data:', error);
+            alert('Error loading saved data. Please reload the page.');
+        });
     }
 }
 
@@ -135,6 +286,52 @@ function regenerateTeams() {
     if (teamGenerator) teamGenerator.teamGenerator.regenerateTeams();
 }
 
+function togglePlayerLock(playerId) {
+    if (teamGenerator) teamGenerator.teamGenerator.togglePlayerLock(playerId);
+}
+
+function rerunSeed() {
+    if (!teamGenerator) return;
+    
+    const seed = document.getElementById('seedInput').value.trim();
+    if (!seed) {
+        alert('Please enter the seed shown next to the teams you want to reproduce');
+        return;
+    }
+    teamGenerator.teamGenerator.generateTeams(seed);
+}
+
+function shareTeams() {
+    if (teamGenerator) teamGenerator.exportManager.shareTeams();
+}
+
+function exportTeamsImage() {
+    if (teamGenerator) teamGenerator.exportManager.exportTeamsImage();
+}
+
+function copyTeamSheet(format) {
+    if (teamGenerator) teamGenerator.exportManager.copyTeamSheet(format);
+}
+
+function closeSharedView() {
+    if (teamGenerator) teamGenerator.exportManager.closeSharedView();
+}
+
+function saveMatch() {
+    if (teamGenerator) teamGenerator.matchHistoryManager.saveCurrentMatch();
+}
+
+function addCustomFormation() {
+    const input = document.getElementById('customFormation');
+    if (teamGenerator && input && teamGenerator.formationManager.addCustomFormation(input.value)) {
+        input.value = '';
+    }
+}
+
+function removeCustomFormation() {
+    if (teamGenerator) teamGenerator.formationManager.removeCustomFormation(teamGenerator.formationManager.getCurrentShape());
+}
+
 /**
  * Player Gallery Management Functions
  * Handle bulk operations on player collections
@@ -147,6 +344,24 @@ function shufflePlayers() {
     if (teamGenerator) teamGenerator.playerManager.shufflePlayers();
 }
 
+function addPairingConstraint() {
+    if (!teamGenerator) return;
+    
+    const firstSelect = document.getElementById('constraintPlayerA');
+    const secondSelect = document.getElementById('constraintPlayerB');
+    const typeSelect = document.getElementById('constraintType');
+    
+    teamGenerator.constraintManager.addConstraint(
+        typeSelect.value,
+        parseFloat(firstSelect.value),
+        parseFloat(secondSelect.value)
+    );
+}
+
+function removePairingConstraint(constraintId) {
+    if (teamGenerator) teamGenerator.constraintManager.removeConstraint(constraintId);
+}
+
 function selectAllPlayers() {
     if (teamGenerator) teamGenerator.playerManager.selectAllPlayers();
 }
@@ -155,6 +370,61 @@ function deselectAllPlayers() {
     if (teamGenerator) teamGenerator.playerManager.deselectAllPlayers();
 }
 
+/**
+ * Match History Functions
+ * Handle saved matches and their results
+ */
+function saveMatchScore(matchId) {
+    if (!teamGenerator) return;
+    
+    const goals = [...document.querySelectorAll(`.match-score-input[data-match-id="${matchId}"]`)].map(input => input.value);
+    teamGenerator.matchHistoryManager.updateScore(matchId, goals);
+}
+
+function toggleFormAdjustment(playerId, entryId) {
+    if (teamGenerator) teamGenerator.formRatingManager.toggleAdjustment(playerId, entryId);
+}
+
+function reopenMatch(matchId) {
+    if (teamGenerator) teamGenerator.matchHistoryManager.reopenMatch(matchId);
+}
+
+function deleteMatch(matchId) {
+    if (teamGenerator) teamGenerator.matchHistoryManager.deleteMatch(matchId);
+}
+
+/**
+ * Undo/Redo Functions
+ * Handle stepping back and forth through roster changes
+ */
+function undoRosterChange() {
+    if (teamGenerator) teamGenerator.undoManager.undo();
+}
+
+function redoRosterChange() {
+    if (teamGenerator) teamGenerator.undoManager.redo();
+}
+
+/**
+ * Roster Functions
+ * Handle separate rosters and switching between them
+ */
+function createRoster() {
+    if (teamGenerator) teamGenerator.rosterManager.createRoster();
+}
+
+function renameRoster() {
+    if (teamGenerator) teamGenerator.rosterManager.renameRoster();
+}
+
+function duplicateRoster() {
+    if (teamGenerator) teamGenerator.rosterManager.duplicateRoster();
+}
+
+function deleteRoster() {
+    if (teamGenerator) teamGenerator.rosterManager.deleteRoster();
+}
+
 /**
  * Data Import/Export Functions
  * Handle data persistence and portability
@@ -170,3 +440,43 @@ function exportPlayersToJSON() {
 function importPlayersFromJSON() {
     if (teamGenerator) teamGenerator.dataManager.importPlayersFromJSON();
 }
+
+function exportAllRostersToJSON() {
+    if (teamGenerator) teamGenerator.dataManager.exportAllRostersToJSON();
+}
+
+function resolveImportReport(choice) {
+    if (teamGenerator) teamGenerator.dataManager.resolveImportReport(choice);
+}
+
+function setMergeChoices(choice) {
+    if (teamGenerator) teamGenerator.dataManager.setMergeChoices(choice);
+}
+
+function confirmMerge() {
+    if (teamGenerator) teamGenerator.dataManager.confirmMerge();
+}
+
+function exportPlayersToCSV() {
+    if (teamGenerator) teamGenerator.csvManager.exportPlayersToCSV();
+}
+
+function importPlayersFromCSV() {
+    if (teamGenerator) teamGenerator.csvManager.importPlayersFromCSV();
+}
+
+function previewCsvImport() {
+    if (teamGenerator) teamGenerator.csvManager.previewImport();
+}
+
+function showCsvMapping() {
+    if (teamGenerator) teamGenerator.csvManager.showMappingAgain();
+}
+
+function confirmCsvImport() {
+    if (teamGenerator) teamGenerator.csvManager.confirmImport();
+}
+
+function closeModal() {
+    if (teamGenerator) teamGenerator.uiManager.closeModal();
+}
@@ -0,0 +1,294 @@
+/**
+ * StorageManager: Persistent storage behind one interface (Data Access layer)
+ *
+ * Responsibilities:
+ * 1. Backends: IndexedDB as the main store, localStorage when IndexedDB is unavailable
+ * 2. Read Cache: Loads every record once at start-up so reads stay synchronous
+ * 3. Change Tracking: Writes only records whose content changed, batched into one write
+ * 4. Collections: Stores players and matches one record per item, so editing one
+ *    player does not rewrite the whole roster
+ * 5. Migration: Moves data saved in localStorage by earlier versions into IndexedDB
+ *
+ * Record Layout:
+ * Every record is keyed like the localStorage keys of earlier versions (STORAGE_PREFIX + name).
+ * A collection stores its item ids in order under its own key and each item under
+ * `<key>_item_<id>`. Collections saved by earlier versions (one array of items under
+ * the key) are still read and are split into items on the next save.
+ */
+
+// Prefix of every storage key used by the app
+const STORAGE_PREFIX = 'soccerTeamGenerator_';
+
+// IndexedDB database holding the app's records
+const STORAGE_DB_NAME = 'soccerTeamGenerator';
+const STORAGE_DB_VERSION = 1;
+const STORAGE_DB_STORE = 'records';
+
+/**
+ * IndexedDB backend: one object store of key → value records
+ *
+ * Values are stored as plain objects (structured clone), not JSON strings.
+ */
+class IndexedDBStorageBackend {
+    constructor() {
+        this.name = 'IndexedDB';
+        this.db = null;
+    }
+
+    // Opens (and on first use creates) the database
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORAGE_DB_STORE);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+    }
+
+    // Reads every record as a Map of key → value
+    readAll() {
+        return new Promise((resolve, reject) => {
+            const records = new Map();
+            const request = this.db.transaction(STORAGE_DB_STORE, 'readonly').objectStore(STORAGE_DB_STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(records);
+                    return;
+                }
+                records.set(cursor.key, cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Applies a batch of changes in one transaction (a value of undefined deletes the record)
+    write(changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORAGE_DB_STORE, 'readwrite');
+            const store = transaction.objectStore(STORAGE_DB_STORE);
+            changes.forEach((value, key) => {
+                if (value === undefined) {
+                    store.delete(key);
+                } else {
+                    store.put(value, key);
+                }
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * localStorage backend: used when IndexedDB is missing or cannot be opened (e.g. some private browsing modes)
+ */
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    open() {
+        return Promise.resolve();
+    }
+
+    // Reads every record of the app as a Map of key → value
+    readAll() {
+        const records = new Map();
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(STORAGE_PREFIX)) continue;
+            try {
+                records.set(key, JSON.parse(localStorage.getItem(key)));
+            } catch (error) {
+                console.error(`Skipping unreadable localStorage record ${key}:`, error);
+            }
+        }
+        return Promise.resolve(records);
+    }
+
+    // Applies a batch of changes (a value of undefined deletes the record)
+    write(changes) {
+        try {
+            changes.forEach((value, key) => {
+                if (value === undefined) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, JSON.stringify(value));
+                }
+            });
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
+
+class StorageManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app;           // Dependency injection, kept for consistency with the other managers
+        this.backend = null;      // Active backend, chosen by init()
+        this.cache = new Map();   // Key → JSON string of every stored record (what the backend holds)
+        this.pendingWrites = new Map(); // Key → value (undefined deletes) waiting for the next flush
+        this.flushScheduled = false;
+        this.writeErrorReported = false; // Whether the user was told about a failed write
+    }
+
+    /**
+     * Chooses a backend and loads every record into the cache
+     *
+     * Resolves once reads are possible. IndexedDB is tried first; any failure falls back to localStorage.
+     */
+    init() {
+        const indexedDBBackend = typeof indexedDB !== 'undefined' ? new IndexedDBStorageBackend() : null;
+        const opening = indexedDBBackend ? indexedDBBackend.open().then(() => indexedDBBackend) : Promise.reject(new Error('IndexedDB is not supported'));
+
+        return opening
+            .catch(error => {
+                console.warn('IndexedDB unavailable, storing data in localStorage instead:', error);
+                const fallback = new LocalStorageBackend();
+                return fallback.open().then(() => fallback);
+            })
+            .then(backend => {
+                this.backend = backend;
+                return backend.readAll();
+            })
+            .then(records => {
+                records.forEach((value, key) => this.cache.set(key, JSON.stringify(value)));
+                if (this.backend instanceof IndexedDBStorageBackend) return this.migrateFromLocalStorage();
+            })
+            .then(() => console.log(`Storage ready (${this.backend.name}, ${this.cache.size} records)`));
+    }
+
+    /**
+     * Moves records saved in localStorage by earlier versions into IndexedDB
+     *
+     * Records already in IndexedDB win. The localStorage copies are removed once the write succeeded.
+     */
+    migrateFromLocalStorage() {
+        const legacyRecords = new Map();
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(STORAGE_PREFIX)) legacyRecords.set(key, localStorage.getItem(key));
+        }
+        if (legacyRecords.size === 0) return Promise.resolve();
+
+        const changes = new Map();
+        legacyRecords.forEach((serialized, key) => {
+            if (this.cache.has(key)) return;
+            try {
+                changes.set(key, JSON.parse(serialized));
+            } catch (error) {
+                console.error(`Skipping unreadable localStorage record ${key}:`, error);
+            }
+        });
+
+        return this.backend.write(changes).then(() => {
+            changes.forEach((value, key) => this.cache.set(key, JSON.stringify(value)));
+            legacyRecords.forEach((_, key) => localStorage.removeItem(key));
+            console.log(`Moved ${changes.size} records from localStorage to IndexedDB`);
+        });
+    }
+
+    // Reads a record (a fresh copy, like parsing a localStorage value); null when missing
+    getItem(key) {
+        return this.cache.has(key) ? JSON.parse(this.cache.get(key)) : null;
+    }
+
+    // Writes a record unless it is unchanged (and not still waiting after a failed write)
+    setItem(key, value) {
+        const serialized = JSON.stringify(value);
+        if (this.cache.get(key) === serialized && !this.pendingWrites.has(key)) return;
+
+        this.cache.set(key, serialized);
+        this.queueWrite(key, value);
+    }
+
+    // Deletes a record, including the items when it is a collection
+    removeItem(key) {
+        const itemPrefix = `${key}_item_`;
+        [...this.cache.keys()]
+            .filter(cachedKey => cachedKey === key || cachedKey.startsWith(itemPrefix))
+            .forEach(cachedKey => {
+                this.cache.delete(cachedKey);
+                this.queueWrite(cachedKey, undefined);
+            });
+    }
+
+    // Reads a collection as an array of items in saved order; null when missing
+    getCollection(key) {
+        const ids = this.getItem(key);
+        if (!Array.isArray(ids)) return null;
+
+        // Saved by an earlier version as one array of whole items
+        if (ids.some(id => id !== null && typeof id === 'object')) return ids;
+
+        return ids.map(id => this.getItem(`${key}_item_${id}`)).filter(item => item !== null);
+    }
+
+    /**
+     * Saves a collection of items that each have an id
+     *
+     * Only items that changed are written; items no longer in the collection are deleted.
+     */
+    saveCollection(key, items) {
+        const ids = items.map(item => item.id);
+        const currentIds = new Set(ids);
+        const previousIds = this.getItem(key);
+
+        items.forEach(item => this.setItem(`${key}_item_${item.id}`, item));
+        if (Array.isArray(previousIds)) {
+            previousIds
+                .filter(id => (id === null || typeof id !== 'object') && !currentIds.has(id))
+                .forEach(id => {
+                    this.cache.delete(`${key}_item_${id}`);
+                    this.queueWrite(`${key}_item_${id}`, undefined);
+                });
+        }
+        this.setItem(key, ids);
+    }
+
+    // Collects a change for the next flush (several saves in one event become one write)
+    queueWrite(key, value) {
+        this.pendingWrites.set(key, value);
+        if (this.flushScheduled) return;
+
+        this.flushScheduled = true;
+        Promise.resolve().then(() => this.flush());
+    }
+
+    /**
+     * Writes every pending change to the backend
+     *
+     * Changes of a failed write go back into the pending writes (unless a newer change replaced them),
+     * so the next save retries them instead of skipping records the cache already holds.
+     */
+    flush() {
+        this.flushScheduled = false;
+        if (this.pendingWrites.size === 0 || !this.backend) return Promise.resolve();
+
+        const changes = this.pendingWrites;
+        this.pendingWrites = new Map();
+
+        return this.backend.write(changes).catch(error => {
+            console.error(`Error saving data to ${this.backend.name}:`, error);
+            changes.forEach((value, key) => {
+                if (!this.pendingWrites.has(key)) this.pendingWrites.set(key, value);
+            });
+
+            if (error && error.name === 'QuotaExceededError') {
+                alert('Storage quota exceeded. Please export your data and delete old matches or rosters.');
+            } else if (!this.writeErrorReported) {
+                this.writeErrorReported = true; // Once per session; every later save retries silently
+                alert('Your latest changes could not be saved. They will be saved again with your next change.');
+            }
+        });
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * SubstitutionManager: Substitution and playing-time planner for each team's squad (Logic layer)
+ *
+ * Responsibilities:
+ * 1. Windows: Spreads the substitution windows evenly over the match length
+ * 2. Planning: Decides who comes on and off at each window so minutes even out across the whole squad
+ * 3. Compatibility: A player only comes on for a line they can play (only keepers replace the keeper)
+ * 4. Rotating Keeper: For a team without a keeper, picks each block's keeper from the players on the pitch
+ *    and keeps them on until their block ends, so the keeper schedule always matches the plan
+ * 5. Timeline: Turns a plan into per-player stints and minutes for display (minutes in goal included)
+ * 6. Settings UI: Keeps the match length and substitution controls in sync with settings
+ *
+ * Planning Approach (greedy, one window at a time):
+ * - Starters are the formation's players, the bench waits
+ * - At each window the bench player with the fewest minutes so far replaces the player with the most
+ *   minutes among the slots they can fill, as long as that player has played longer; repeated for
+ *   every bench player, each slot changing at most once per window
+ * - A rotating keeper is never replaced at a window inside their block; at the start of every block
+ *   the next keeper is picked from the players then on the pitch (see KeeperRotationManager.pickKeeper),
+ *   so bench players who have come on take their turns in goal too
+ *
+ * Data Structure:
+ * team.substitutionPlan: { matchLength, windows, changes } or null, where windows are the minutes of the
+ * substitution windows and changes are { minute, line, position, offId, onId }
+ */
+
+// Most substitution windows a plan can have
+const MAX_SUBSTITUTION_WINDOWS = 10;
+
+// Card colour class of each formation line (shared with the pitch cards)
+const PLAN_LINE_CLASSES = { goalkeeper: 'gk', defenders: 'def', midfielders: 'mid', forwards: 'att' };
+
+class SubstitutionManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing teams and settings
+    }
+
+    // Substitution settings, filling in defaults for anything missing
+    getSubstitutionSettings() {
+        return { enabled: true, windows: 3, ...(this.app.settings.substitutions || {}) };
+    }
+
+    // Builds or clears the plan of every given team
+    updatePlans(teams) {
+        teams.forEach(team => {
+            team.substitutionPlan = this.buildPlan(team);
+        });
+    }
+
+    /**
+     * Plan for one team, or null when the option is off, the team has no bench or there are no windows
+     *
+     * For a team with a rotating keeper, the keepers of team.keeperRotation are re-picked along the plan
+     * (the block times stay), so the schedule only uses players who are on the pitch for their block.
+     */
+    buildPlan(team) {
+        const settings = this.getSubstitutionSettings();
+        if (!settings.enabled || team.substitutes.length === 0) return null;
+
+        const matchLength = this.app.keeperRotationManager.getMatchLength();
+        const windowCount = Math.min(settings.windows, matchLength - 1);
+        if (windowCount <= 0) return null;
+
+        const windows = Array.from({ length: windowCount }, (_, i) => Math.round((i + 1) * matchLength / (windowCount + 1)));
+        const slots = this.app.teamGenerator.getTeamSlots(team)
+            .filter(slot => slot.line !== 'substitutes')
+            .map(slot => ({ line: slot.line, position: this.app.playerManager.getSlotPosition(slot.player, slot.line), playerId: slot.player.id }));
+
+        const minutes = new Map(team.players.map(player => [player.id, 0]));
+        const onPitch = new Set(slots.map(slot => slot.playerId));
+        const changes = [];
+        let periodStart = 0;
+
+        // Rotating keeper: block times from the schedule, keepers picked while planning
+        const keeperRotationManager = this.app.keeperRotationManager;
+        const keeperBlocks = team.keeperRotation ? team.keeperRotation.blocks.map(({ start, end }) => ({ start, end, playerId: null })) : [];
+        const goalMinutes = new Map();
+        let keeper = null;
+        const events = [...new Set([...windows, ...keeperBlocks.map(block => block.start)])].sort((a, b) => a - b);
+
+        events.forEach(minute => {
+            onPitch.forEach(id => minutes.set(id, minutes.get(id) + minute - periodStart));
+            periodStart = minute;
+
+            if (windows.includes(minute)) {
+                // The keeper stays on while their block runs past this window
+                const keeperStays = keeper && keeperBlocks.some(block => block.start < minute && minute < block.end);
+                this.planWindow(team, minute, slots, onPitch, minutes, changes, keeperStays ? keeper.id : null);
+            }
+
+            const block = keeperBlocks.find(candidate => candidate.start === minute);
+            if (block) {
+                const candidates = team.players.filter(player => onPitch.has(player.id));
+                keeper = keeperRotationManager.pickKeeper(candidates.length > 0 ? candidates : team.players, goalMinutes, keeper);
+                block.playerId = keeper.id;
+                goalMinutes.set(keeper.id, (goalMinutes.get(keeper.id) || 0) + block.end - block.start);
+            }
+        });
+
+        if (team.keeperRotation) team.keeperRotation = { ...team.keeperRotation, blocks: keeperBlocks };
+        return { matchLength, windows, changes };
+    }
+
+    // Substitutions of one window (see the planning approach above); keeperId is the keeper who has to stay on
+    planWindow(team, minute, slots, onPitch, minutes, changes, keeperId = null) {
+        const changedSlots = new Set();
+        const bench = team.players
+            .filter(player => !onPitch.has(player.id))
+            .sort((a, b) => minutes.get(a.id) - minutes.get(b.id));
+
+        bench.forEach(player => {
+            const slot = slots
+                .filter(candidate => !changedSlots.has(candidate) && candidate.playerId !== keeperId && this.app.teamGenerator.canPlayLine(player, candidate.line))
+                .sort((a, b) => minutes.get(b.playerId) - minutes.get(a.playerId))[0];
+            if (!slot || minutes.get(slot.playerId) <= minutes.get(player.id)) return;
+
+            changes.push({ minute, line: slot.line, position: slot.position, offId: slot.playerId, onId: player.id });
+            onPitch.delete(slot.playerId);
+            onPitch.add(player.id);
+            slot.playerId = player.id;
+            changedSlots.add(slot);
+        });
+    }
+
+    /**
+     * Per-player timeline of a team's plan: starters first (by line), then the bench
+     *
+     * Returns rows of { player, stints, minutes } where stints are { start, end, line }
+     * (empty without a plan; changes whose players left the team are skipped).
+     */
+    getTimeline(team) {
+        const plan = team.substitutionPlan;
+        if (!plan) return [];
+
+        const slots = this.app.teamGenerator.getTeamSlots(team);
+        const rows = new Map(slots.map(({ player }) => [player.id, { player, stints: [], minutes: 0 }]));
+        const openStints = new Map();
+
+        slots.filter(slot => slot.line !== 'substitutes').forEach(({ line, player }) => {
+            openStints.set(player.id, { start: 0, line: line });
+        });
+
+        const closeStint = (playerId, end) => {
+            const stint = openStints.get(playerId);
+            if (!stint) return;
+            rows.get(playerId).stints.push({ ...stint, end: end });
+            openStints.delete(playerId);
+        };
+
+        plan.changes
+            .filter(change => rows.has(change.offId) && rows.has(change.onId))
+            .forEach(change => {
+                closeStint(change.offId, change.minute);
+                openStints.set(change.onId, { start: change.minute, line: change.line });
+            });
+        [...openStints.keys()].forEach(playerId => closeStint(playerId, plan.matchLength));
+
+        // Blocks in goal of a rotating keeper split their stints into goalkeeper stretches
+        const goalBlocks = this.app.keeperRotationManager.getScheduleEntries(team);
+        rows.forEach(row => {
+            const ownBlocks = goalBlocks.filter(block => block.player === row.player);
+            row.stints = row.stints.flatMap(stint => {
+                const cuts = [...new Set([stint.start, stint.end, ...ownBlocks.flatMap(block => [block.start, block.end])])]
+                    .filter(minute => minute >= stint.start && minute <= stint.end)
+                    .sort((a, b) => a - b);
+                return cuts.slice(1).map((end, i) => ({
+                    start: cuts[i],
+                    end: end,
+                    line: ownBlocks.some(block => block.start <= cuts[i] && end <= block.end) ? 'goalkeeper' : stint.line
+                }));
+            });
+            row.minutes = row.stints.reduce((sum, stint) => sum + stint.end - stint.start, 0);
+        });
+        return [...rows.values()];
+    }
+
+    // Changes of a plan grouped by window, with their players: [{ minute, changes: [{ off, on, position }] }]
+    getWindowChanges(team) {
+        const plan = team.substitutionPlan;
+        if (!plan) return [];
+
+        const findPlayer = id => team.players.find(player => player.id === id);
+        return plan.windows
+            .map(minute => ({
+                minute: minute,
+                changes: plan.changes
+                    .filter(change => change.minute === minute)
+                    .map(change => ({ off: findPlayer(change.offId), on: findPlayer(change.onId), position: change.position, line: change.line }))
+                    .filter(change => change.off && change.on)
+            }))
+            .filter(window => window.changes.length > 0);
+    }
+
+    // Reads the match length control (shared by keeper rotations and substitution plans) and rebuilds both
+    saveMatchLength() {
+        const matchLengthInput = document.getElementById('matchLength');
+        const matchLength = matchLengthInput ? parseInt(matchLengthInput.value) : NaN;
+        if (!isNaN(matchLength)) this.app.settings.matchLength = Math.min(Math.max(matchLength, 10), 180);
+
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateSubstitutionControls();
+
+        // Shared line-ups are read-only
+        if (!this.app.sharedView && this.app.teams.length > 0) {
+            this.app.keeperRotationManager.updateSchedules(this.app.teams);
+            this.updatePlans(this.app.teams);
+            this.app.uiManager.updateTeamsDisplay();
+        }
+    }
+
+    // Reads the substitution controls into settings, persists them and updates the teams on display
+    saveSubstitutionSettings() {
+        const settings = this.getSubstitutionSettings();
+        const enabledCheckbox = document.getElementById('useSubstitutionPlan');
+        const windowsInput = document.getElementById('substitutionWindows');
+
+        if (enabledCheckbox) settings.enabled = enabledCheckbox.checked;
+        if (windowsInput) {
+            const windows = parseInt(windowsInput.value);
+            settings.windows = isNaN(windows) ? settings.windows : Math.min(Math.max(windows, 0), MAX_SUBSTITUTION_WINDOWS);
+        }
+
+        this.app.settings.substitutions = settings;
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateSubstitutionControls();
+
+        if (!this.app.sharedView && this.app.teams.length > 0) {
+            this.app.keeperRotationManager.updateSchedules(this.app.teams); // Keepers are re-picked along the plan
+            this.updatePlans(this.app.teams);
+            this.app.uiManager.updateTeamsDisplay();
+        }
+    }
+
+    // Shows the saved match length and substitution settings in the generation controls
+    updateSubstitutionControls() {
+        const settings = this.getSubstitutionSettings();
+        const matchLengthInput = document.getElementById('matchLength');
+        const enabledCheckbox = document.getElementById('useSubstitutionPlan');
+        const windowsInput = document.getElementById('substitutionWindows');
+
+        if (matchLengthInput) matchLengthInput.value = this.app.keeperRotationManager.getMatchLength();
+        if (enabledCheckbox) enabledCheckbox.checked = settings.enabled;
+        if (windowsInput) {
+            windowsInput.value = settings.windows;
+            windowsInput.disabled = !settings.enabled;
+        }
+    }
+}
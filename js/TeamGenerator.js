@@ -3,9 +3,11 @@
  * 
  * Core Methods:
  * 1. Snake Draft Algorithm: Ensures fair distribution of high-rated players
- * 2. Position-Based Balancing: Maintains realistic soccer formations (4-3-3)
+ * 2. Position-Based Balancing: Maintains realistic soccer formations (4-3-3, 4-4-2, 3-5-2, ...)
  * 3. Size-Controlled Distribution: Handles uneven player counts gracefully
  * 4. Rating-Based Sorting: Uses player stats for balanced team strength
+ * 5. Attribute Balancing: Evens out team totals for pace, shooting, passing, dribbling, defending and physical
+ * 6. Seeded Randomness: Every random choice comes from a seeded generator, so a draw can be reproduced
  * 
  * Algorithm Complexity:
  * - Time Complexity: O(n log n) for sorting + O(n) for distribution = O(n log n) - Players are sorted by their attributes, similar to how Merge Sort or Quick Sort operates. After sorting, algorithm distributes players into teams in a single pass.
@@ -15,13 +17,17 @@
  * - Formation-aware player placement (GK, defenders, midfielders, forwards)
  * - Position flexibility handling (players with multiple positions)
  * - Preferred position prioritization for optimal team chemistry
- * - Realistic team size management (11 players + substitutes)
+ * - Realistic team size management (players on the pitch + substitutes for the chosen match format)
  */
 
+// Outfield attributes balanced alongside the overall rating (weights are user-adjustable)
+const BALANCE_ATTRIBUTES = ['pace', 'shooting', 'passing', 'dribbling', 'defending', 'physical'];
+
 class TeamGenerator {
     // Constructor establishes connection to main application
     constructor(app) {
         this.app = app; // Dependency injection for accessing player data and UI updates
+        this.random = Math.random; // Replaced by a seeded generator at the start of every generation
     }
 
     /**
@@ -37,8 +43,12 @@ class TeamGenerator {
      * - Uses modular arithmetic for even distribution
      * - Implements ceiling/floor division for handling remainders
      * - Ensures no team differs by more than 1 player
+     * - Caps every squad at the match format's pitch size plus bench
+     * 
+     * Passing a seed reproduces an earlier draw (same players, settings and seed → same teams);
+     * without one a new random seed is picked.
      */
-    generateTeams() {
+    generateTeams(seed = null) {
         // Extract user preferences from UI controls
         const numTeams = parseInt(document.getElementById('teamCount').value);
         const playerSelection = document.getElementById('playerSelection').value;
@@ -66,20 +76,20 @@ class TeamGenerator {
         // Mathematical team size calculation
         // Implements fair distribution algorithm for uneven player counts
         const totalPlayers = playersToUse.length;
-        const basePlayersPerTeam = Math.floor(totalPlayers / numTeams);  // Base size for all teams
-        const extraPlayers = totalPlayers % numTeams;                    // Remainder players to distribute
-        
-        const targetTeamSizes = [];
-        for (let i = 0; i < numTeams; i++) {
-            // Distribute extra players evenly: first 'extraPlayers' teams get +1 player
-            // Example: 23 players, 3 teams → [8, 8, 7] instead of [7, 7, 9]
-            targetTeamSizes.push(basePlayersPerTeam + (i < extraPlayers ? 1 : 0));
-        }
+        const targetTeamSizes = this.calculateTeamSizes(totalPlayers, numTeams);
         
         console.log(`Generating teams with balanced sizes: ${targetTeamSizes.join(', ')} (Total: ${totalPlayers} players)`);
+        
+        // Warn up front when the pairing constraints cannot all be met
+        this.reportConstraintProblems(playersToUse, targetTeamSizes);
+
+        // A fresh generation starts without any locked players and is not a saved match yet
+        this.app.lockedPlayerIds.clear();
+        this.app.openMatchId = null;
 
         // Execute advanced team generation algorithm
-        this.app.teams = this.createBalancedTeamsWithSizeControl(numTeams, targetTeamSizes, playersToUse);
+        this.app.teams = this.runSeededGeneration(numTeams, targetTeamSizes, playersToUse, [], seed || this.createRandomSeed());
+        this.app.leftOutPlayers = this.getLeftOutPlayers(this.app.teams, playersToUse);
         
         // Update UI and application state
         this.app.uiManager.updateTeamsDisplay();
@@ -93,6 +103,7 @@ class TeamGenerator {
     }
 
     // Regenerates teams with enhanced randomization, while maintaining team count and fairness while providing variety
+    // Locked players stay on their current team (and line); everyone else is drafted again
     regenerateTeams() {
         // Early validation
         if (!this.validateExistingTeams()) return;
@@ -104,17 +115,81 @@ class TeamGenerator {
         const targetSizes = this.calculateTeamSizes(playersToUse.length, numTeams);
         
         console.log(`Regenerating ${numTeams} teams with sizes: ${targetSizes.join(', ')}`);
+        this.reportConstraintProblems(playersToUse, targetSizes);
         
-        // Apply enhanced randomization
-        const randomizedPlayers = this.applyRandomization(playersToUse);
+        // Remember where locked players currently are before the old teams are replaced
+        const lockedSlots = this.getLockedSlots(this.app.teams, playersToUse);
         
-        // Generate new teams
-        this.app.teams = this.createBalancedTeamsWithSizeControl(numTeams, targetSizes, randomizedPlayers);
+        // Generate new teams from a fresh seed
+        this.app.teams = this.runSeededGeneration(numTeams, targetSizes, playersToUse, lockedSlots, this.createRandomSeed());
+        this.app.openMatchId = null; // New line-ups are saved as a new match
+        this.app.leftOutPlayers = this.getLeftOutPlayers(this.app.teams, playersToUse);
         this.app.uiManager.updateTeamsDisplay();
         
         console.log('Teams regenerated successfully');
     }
 
+    /**
+     * Generation pipeline shared by generate, regenerate and re-running a seed
+     * 
+     * Reproducibility:
+     * - The seed drives every random choice (shuffles, rating jitter, draft order)
+     * - Players are put in a fixed order (name, then id) first, so gallery order does not matter
+     * - The seed and the number of locked players are kept for display next to the teams
+     */
+    runSeededGeneration(numTeams, targetTeamSizes, playersToUse, lockedSlots, seed) {
+        this.setRandomSeed(seed);
+        
+        const orderedPlayers = [...playersToUse].sort((a, b) =>
+            a.name < b.name ? -1 : a.name > b.name ? 1 : a.id - b.id
+        );
+        const randomizedPlayers = this.applyRandomization(orderedPlayers);
+        
+        console.log(`Generating with seed ${seed}`);
+        const teams = this.createBalancedTeamsWithSizeControl(numTeams, targetTeamSizes, randomizedPlayers, lockedSlots);
+        this.app.keeperRotationManager.updateSchedules(teams); // Teams left without a keeper take turns in goal
+        this.app.substitutionManager.updatePlans(teams);       // Bench players get their share of minutes
+        
+        this.app.generationSeed = { seed: seed, lockedCount: lockedSlots.length };
+        return teams;
+    }
+
+    // Picks a new six-digit seed (the only unseeded random call in team generation)
+    createRandomSeed() {
+        return String(Math.floor(Math.random() * 900000) + 100000);
+    }
+
+    // Turns any seed text into a 32-bit number (FNV-1a hash)
+    hashSeed(seed) {
+        let hash = 2166136261;
+        for (const character of String(seed)) {
+            hash ^= character.codePointAt(0);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Seeds this.random with the Mulberry32 generator (fast, small and good enough for shuffling)
+    setRandomSeed(seed) {
+        let state = this.hashSeed(seed);
+        this.random = () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Tells the user which pairing constraints cannot be met before generating best-effort teams
+    reportConstraintProblems(playersToUse, targetTeamSizes) {
+        const problems = this.app.constraintManager.checkFeasibility(playersToUse, targetTeamSizes);
+        if (problems.length === 0) return;
+        
+        alert(`Not all pairing constraints can be met with ${targetTeamSizes.length} teams:\n\n` +
+            problems.map(problem => `• ${problem}`).join('\n') +
+            '\n\nTeams will be generated meeting as many constraints as possible.');
+    }
+
     // Validates that teams exist for regeneration
     validateExistingTeams() {
         if (!this.app.teams || this.app.teams.length === 0) {
@@ -143,16 +218,55 @@ class TeamGenerator {
         return { numTeams, playersToUse };
     }
 
-    // Calculates balanced team sizes
+    // Calculates balanced team sizes, capped at the match format's squad size (pitch + bench)
     calculateTeamSizes(totalPlayers, numTeams) {
-        const baseSize = Math.floor(totalPlayers / numTeams); // Divides player evenly among teams
-        const extraPlayers = totalPlayers % numTeams; // Remainder players to distribute
+        const squadSize = this.app.formationManager.getMatchFormat().squadSize;
+        const playersInSquads = Math.min(totalPlayers, squadSize * numTeams); // Anyone beyond every full squad is left out
         
+        const baseSize = Math.floor(playersInSquads / numTeams); // Divides player evenly among teams
+        const extraPlayers = playersInSquads % numTeams; // Remainder players to distribute
+        
+        // Example: 23 players, 3 teams → [8, 8, 7] instead of [7, 7, 9]
         return Array.from({ length: numTeams }, (_, i) => // Creates an array with numTeams elements
             baseSize + (i < extraPlayers ? 1 : 0)
         );
     }
 
+    // Players from the pool who did not make it into any squad
+    getLeftOutPlayers(teams, playersToUse) {
+        const assignedIds = new Set(teams.flatMap(team => team.players.map(player => player.id)));
+        return playersToUse.filter(player => !assignedIds.has(player.id));
+    }
+
+    // Locks or unlocks a player on their current team for the next regeneration
+    togglePlayerLock(playerId) {
+        if (this.app.lockedPlayerIds.has(playerId)) {
+            this.app.lockedPlayerIds.delete(playerId);
+        } else {
+            this.app.lockedPlayerIds.add(playerId);
+        }
+        this.app.uiManager.updateTeamsDisplay();
+    }
+
+    // Whether a player is locked to their current team
+    isPlayerLocked(playerId) {
+        return this.app.lockedPlayerIds.has(playerId);
+    }
+
+    // Team index and line of every locked player who is still part of the player pool
+    getLockedSlots(teams, playersToUse) {
+        const poolIds = new Set(playersToUse.map(player => player.id));
+        const lockedSlots = [];
+        
+        teams.forEach((team, teamIndex) => {
+            this.getTeamSlots(team)
+                .filter(slot => this.isPlayerLocked(slot.player.id) && poolIds.has(slot.player.id))
+                .forEach(slot => lockedSlots.push({ playerId: slot.player.id, teamIndex, line: slot.line }));
+        });
+        
+        return lockedSlots;
+    }
+
     // Applies enhanced randomization to players
     applyRandomization(players) {
         const shuffled = [...players];
@@ -165,7 +279,7 @@ class TeamGenerator {
         // Add temporary rating adjustments for variety
         return shuffled.map(player => ({
             ...player,
-            tempRatingAdjustment: (Math.random() - 0.5) * 10 // ±5 rating adjustment
+            tempRatingAdjustment: (this.random() - 0.5) * 10 // ±5 rating adjustment
         }));
     }
 
@@ -181,8 +295,10 @@ class TeamGenerator {
      *    - Time Complexity: O(n) for distribution after O(n log n) sorting
      * 
      * 2. Position Based Distribution (Soccer Domain Knowledge)
-     *    - Ensures realistic team formations (4-3-3: 1 GK, 4 DEF, 3 MID, 3 FWD)
+     *    - Ensures realistic team formations (e.g. 4-3-3: 1 GK, 4 DEF, 3 MID, 3 FWD)
+     *    - Line sizes follow the formation chosen in the formation picker
      *    - Handles multi-position players intelligently
+     *    - Places each player in the line and position where their position rating is highest
      *    - Prioritizes preferred positions for optimal team chemistry
      * 
      * 3. Size Controlled Distribution (Mathematical Fairness)
@@ -194,15 +310,32 @@ class TeamGenerator {
      *    - Uses FIFA-style overall ratings for player comparison
      *    - Implements tie-breaking with temporary random adjustments
      *    - Ensures no team has unfair advantage in overall strength
+     * 
+     * 5. Keeper Compensation
+     *    - The best goalkeepers (by goalkeeping rating) go in goal, real keepers before stand-ins
+     *    - The pool is drafted strongest first and each pick goes to the team furthest behind an
+     *      average squad of its size (keeper included), so a weaker keeper is made up for with
+     *      stronger outfield picks; between equal teams this alternates like a snake draft
+     *    - Team totals count the player in goal with their goalkeeping rating
+     * 
+     * 6. Locked Players
+     *    - Placed on their team before the draft and counted towards its target size
+     *    - Never moved by constraint repair or balance refinement
      */
-    createBalancedTeamsWithSizeControl(numTeams, targetTeamSizes, playersToUse = null) {
+    createBalancedTeamsWithSizeControl(numTeams, targetTeamSizes, playersToUse = null, lockedSlots = []) {
         // STEP 1: DATA PREPARATION AND INITIALIZATION
         const sourcePlayersArray = playersToUse || this.app.players;
         
+        // Line limits come from the formation chosen in the formation picker
+        const formationTemplate = this.app.formationManager.getFormationTemplate();
+        const lineLimits = formationTemplate.limits;
+        
         // Initialize team data structures with soccer formation template
         const teams = Array.from({ length: numTeams }, (_, index) => ({
             id: index + 1,
             name: `Team ${index + 1}`,
+            shape: formationTemplate.shape, // Formation shape used to render the pitch
+            matchFormat: this.app.formationManager.getMatchFormat().id,
             players: [],
             formation: {
                 goalkeeper: null,
@@ -210,36 +343,34 @@ class TeamGenerator {
                 midfielders: [],
                 forwards: []
             },
+            substitutes: [], // Players beyond the formation's line limits
             totalRating: 0,
             averageRating: 0,
             targetSize: targetTeamSizes[index] // Add target size for this team
         }));
 
-        // Define position categories
-        const positionCategories = {
-            goalkeeper: ['GK'],
-            defenders: ['CB', 'LB', 'RB'],
-            midfielders: ['CDM', 'CM', 'CAM', 'LM', 'RM'],
-            forwards: ['LW', 'RW', 'ST']
-        };
-
         // Sort players with randomized ratings for more variation
         const sortedPlayers = [...sourcePlayersArray].sort((a, b) => {
-            const ratingA = this.app.playerManager.getPlayerOverallRating(a) + (a.tempRatingAdjustment || 0);
-            const ratingB = this.app.playerManager.getPlayerOverallRating(b) + (b.tempRatingAdjustment || 0);
+            const ratingA = this.getPlayerRating(a) + (a.tempRatingAdjustment || 0);
+            const ratingB = this.getPlayerRating(b) + (b.tempRatingAdjustment || 0);
             return ratingB - ratingA;
         });
 
-        console.log(`Size-controlled team generation using ${sortedPlayers.length} players for ${numTeams} teams with target sizes: [${targetTeamSizes.join(', ')}]`);
+        console.log(`Size-controlled team generation using ${sortedPlayers.length} players for ${numTeams} teams with target sizes: [${targetTeamSizes.join(', ')}] in a ${formationTemplate.shape}`);
 
         let assignedPlayers = new Set();
         
-        // Picks a random direction: either forward (0→1→2→…) or reverse (THIS IS THE SNAKE DRAFT FUNCTIONALITY)
-        let currentTeam = Math.floor(Math.random() * numTeams);
-        let direction = Math.random() > 0.5 ? 1 : -1;
+        // PHASE 0: Locked players keep their team (and line, where it still has room)
+        lockedSlots.forEach(lockedSlot => {
+            const player = sortedPlayers.find(p => p.id === lockedSlot.playerId);
+            const team = teams[lockedSlot.teamIndex];
+            if (!player || !team || team.players.length >= team.targetSize) return;
+            
+            this.placeLockedPlayer(player, team, lockedSlot.line, lineLimits);
+            assignedPlayers.add(player.id);
+            console.log(`Kept locked player ${player.name} on Team ${team.id}`);
+        });
         
-        console.log(`Starting snake draft from Team ${currentTeam + 1}, direction: ${direction > 0 ? 'forward' : 'reverse'}`);
-
         // PHASE 1: GK ASSIGNMENT with position flexibility
         console.log('PHASE 1: Enhanced goalkeeper assignment with balanced size control...');
         
@@ -248,17 +379,15 @@ class TeamGenerator {
             p.positions.includes('GK') && !assignedPlayers.has(p.id)
         );
         
-        // Shuffle GK players for more variation, but still prioritize preferred GKs
-        const preferredGKs = allGKCapablePlayers.filter(p => p.preferredPosition === 'GK');
-        const alternativeGKs = allGKCapablePlayers.filter(p => p.preferredPosition !== 'GK');
-        
-        this.shuffleArray(preferredGKs);
-        this.shuffleArray(alternativeGKs);
+        // Rank keepers by goalkeeping rating (jittered for variation), but still prioritize preferred GKs
+        const keeperRating = p => this.app.playerManager.getPlayerRatingForPosition(p, 'GK') + (p.tempRatingAdjustment || 0);
+        const preferredGKs = allGKCapablePlayers.filter(p => p.preferredPosition === 'GK').sort((a, b) => keeperRating(b) - keeperRating(a));
+        const alternativeGKs = allGKCapablePlayers.filter(p => p.preferredPosition !== 'GK').sort((a, b) => keeperRating(b) - keeperRating(a));
         
         const shuffledGKs = [...preferredGKs, ...alternativeGKs];
         
-        // Assign goalkeepers using random team order
-        const teamOrder = Array.from({length: numTeams}, (_, i) => i);
+        // Assign goalkeepers using random team order (teams with a locked goalkeeper are skipped)
+        const teamOrder = Array.from({length: numTeams}, (_, i) => i).filter(i => !teams[i].formation.goalkeeper);
         this.shuffleArray(teamOrder);
         
         for (let i = 0; i < teamOrder.length && i < shuffledGKs.length; i++) {
@@ -272,165 +401,74 @@ class TeamGenerator {
             console.log(`Assigned ${player.name} (GK) to Team ${teamIndex + 1} - RANDOMIZED ORDER`);
         }
 
-        // PHASE 2: SIZE-CONTROLLED ASSIGNMENT with snake draft
-        console.log('PHASE 2: Size-controlled position assignment with snake draft...');
+        // PHASE 2: SIZE-CONTROLLED ASSIGNMENT with catch-up draft
+        console.log('PHASE 2: Size-controlled position assignment with catch-up draft...');
         
-        // Group remaining players by position categories and shuffle each group
-        const remainingPlayers = sortedPlayers.filter(p => !assignedPlayers.has(p.id));
+        // Teams level on rating keep a random order, weakest keeper first
+        const draftOrder = Array.from({ length: numTeams }, (_, i) => i);
+        this.shuffleArray(draftOrder);
+        draftOrder.sort((a, b) => this.getKeeperRating(teams[a]) - this.getKeeperRating(teams[b]));
         
-        const positionGroups = {
-            defenders: remainingPlayers.filter(p => 
-                p.positions.some(pos => positionCategories.defenders.includes(pos))
-            ),
-            midfielders: remainingPlayers.filter(p => 
-                p.positions.some(pos => positionCategories.midfielders.includes(pos))
-            ),
-            forwards: remainingPlayers.filter(p => 
-                p.positions.some(pos => positionCategories.forwards.includes(pos))
-            )
-        };
+        console.log(`Starting catch-up draft, keepers weakest first: ${draftOrder.map(i => `Team ${i + 1}`).join(' → ')}`);
         
-        // Shuffle each position group for maximum variation
-        Object.values(positionGroups).forEach(group => this.shuffleArray(group));
+        // Each remaining player enters the pool once, for the line where they rate highest
+        // (or their next best line once numTeams × line size players already want that line)
+        const remainingPlayers = sortedPlayers.filter(p => !assignedPlayers.has(p.id));
+        this.shuffleArray(remainingPlayers);
         
-        // Create a mixed assignment pool with position weighting
         const assignmentPool = [];
-        
-        // Add defenders (weight them higher since teams need more)
-        for (let i = 0; i < Math.min(positionGroups.defenders.length, numTeams * 4); i++) {
-            assignmentPool.push({player: positionGroups.defenders[i], priority: 'defender'});
-        }
-        
-        // Add midfielders
-        for (let i = 0; i < Math.min(positionGroups.midfielders.length, numTeams * 4); i++) {
-            assignmentPool.push({player: positionGroups.midfielders[i], priority: 'midfielder'});
-        }
-        
-        // Add forwards
-        for (let i = 0; i < Math.min(positionGroups.forwards.length, numTeams * 3); i++) {
-            assignmentPool.push({player: positionGroups.forwards[i], priority: 'forward'});
-        }
-        
-        // Shuffle the entire assignment pool for maximum randomization
-        this.shuffleArray(assignmentPool);
-        
-        // Helper function to determine the best specific position for a player in a formation line
-        const getBestPositionForFormationLine = (player, formationLine, existingPlayers = []) => {
-            // For goalkeepers, always return GK
-            if (formationLine === 'goalkeeper') return 'GK';
-            
-            // Get player's available positions for this formation line
-            const linePositions = {
-                'defender': ['CB', 'LB', 'RB'],
-                'midfielder': ['CDM', 'CM', 'CAM', 'LM', 'RM'], 
-                'forward': ['LW', 'RW', 'ST']
-            };
-            
-            const availablePositions = player.positions.filter(pos => 
-                linePositions[formationLine]?.includes(pos)
+        const poolCounts = { defenders: 0, midfielders: 0, forwards: 0 };
+        remainingPlayers.forEach(player => {
+            const line = this.getLinePreferenceOrder(player).find(candidate =>
+                this.canPlayLine(player, candidate) && poolCounts[candidate] < numTeams * lineLimits[candidate]
             );
+            if (!line) return; // Left for PHASE 3
             
-            // Prefer the player's preferred position if it's available for this line
-            if (availablePositions.includes(player.preferredPosition)) {
-                return player.preferredPosition;
-            }
-            
-            // Otherwise, choose the first available position for this line
-            return availablePositions[0] || linePositions[formationLine][0];
-        };
+            poolCounts[line]++;
+            assignmentPool.push({ player, line });
+        });
+        
+        // Draft the strongest players first (jittered ratings keep the order varied), so the teams
+        // that are behind (e.g. with the weakest keepers) get the strongest outfield players
+        assignmentPool.sort((a, b) =>
+            (this.getSlotContribution(b.player, b.line) + (b.player.tempRatingAdjustment || 0)) -
+            (this.getSlotContribution(a.player, a.line) + (a.player.tempRatingAdjustment || 0))
+        );
         
-        // Size-controlled snake draft assignment
+        // Keeper compensation: each pick goes to the team furthest behind an average squad of its size
+        // (keeper and locked players included), so a weaker keeper earns several of the strongest picks
+        // before the other teams catch up. Between equally strong teams this alternates picks like a snake draft
+        const averageRating = assignmentPool.length > 0
+            ? assignmentPool.reduce((sum, item) => sum + this.getSlotContribution(item.player, item.line), 0) / assignmentPool.length
+            : 0;
+        const runningTotals = teams.map(team =>
+            team.players.reduce((sum, player) => sum + this.getTeamRatingContribution(player, team), 0)
+        );
+        const getDraftBalance = index => runningTotals[index] - teams[index].players.length * averageRating;
+        
+        // Size-controlled catch-up draft assignment
         for (const item of assignmentPool) {
             const player = item.player;
             if (assignedPlayers.has(player.id)) continue;
             
-            let attempts = 0;
-            let assigned = false;
+            // Teams with room, furthest behind first (stable sort keeps draftOrder on ties)
+            const pickingOrder = draftOrder
+                .filter(index => teams[index].players.length < teams[index].targetSize)
+                .sort((a, b) => getDraftBalance(a) - getDraftBalance(b));
             
-            while (attempts < numTeams && !assigned) {
-                const team = teams[currentTeam];
+            for (const index of pickingOrder) {
+                const team = teams[index];
                 
-                // Check if team has reached its target size
-                if (team.players.length >= team.targetSize) {
-                    // Move to next team in snake pattern
-                    currentTeam += direction;
-                    if (currentTeam >= numTeams) { 
-                        currentTeam = numTeams - 1; 
-                        direction = -1; 
-                    } else if (currentTeam < 0) { 
-                        currentTeam = 0; 
-                        direction = 1; 
-                    }
-                    attempts++;
-                    continue;
-                }
-                
-                // Try to assign based on priority, but be flexible
-                if (item.priority === 'defender' && team.formation.defenders.length < 4) {
-                    player.assignedPosition = getBestPositionForFormationLine(player, 'defender', team.formation.defenders);
-                    team.formation.defenders.push(player);
-                    team.players.push(player);
-                    assignedPlayers.add(player.id);
-                    assigned = true;
-                } else if (item.priority === 'midfielder' && team.formation.midfielders.length < 4) {
-                    player.assignedPosition = getBestPositionForFormationLine(player, 'midfielder', team.formation.midfielders);
-                    team.formation.midfielders.push(player);
-                    team.players.push(player);
-                    assignedPlayers.add(player.id);
-                    assigned = true;
-                } else if (item.priority === 'forward' && team.formation.forwards.length < 3) {
-                    player.assignedPosition = getBestPositionForFormationLine(player, 'forward', team.formation.forwards);
-                    team.formation.forwards.push(player);
-                    team.players.push(player);
-                    assignedPlayers.add(player.id);
-                    assigned = true;
-                } else {
-                    // Flexible assignment - put player wherever there's space
-                    if (team.formation.defenders.length < 4 && player.positions.some(pos => positionCategories.defenders.includes(pos))) {
-                        player.assignedPosition = getBestPositionForFormationLine(player, 'defender', team.formation.defenders);
-                        team.formation.defenders.push(player);
-                        team.players.push(player);
-                        assignedPlayers.add(player.id);
-                        assigned = true;
-                    } else if (team.formation.midfielders.length < 4 && player.positions.some(pos => positionCategories.midfielders.includes(pos))) {
-                        player.assignedPosition = getBestPositionForFormationLine(player, 'midfielder', team.formation.midfielders);
-                        team.formation.midfielders.push(player);
-                        team.players.push(player);
-                        assignedPlayers.add(player.id);
-                        assigned = true;
-                    } else if (team.formation.forwards.length < 3 && player.positions.some(pos => positionCategories.forwards.includes(pos))) {
-                        player.assignedPosition = getBestPositionForFormationLine(player, 'forward', team.formation.forwards);
-                        team.formation.forwards.push(player);
-                        team.players.push(player);
-                        assignedPlayers.add(player.id);
-                        assigned = true;
-                    }
-                }
+                // Try the pool line first, then the player's other lines from best to worst rating
+                const line = [item.line, ...this.getLinePreferenceOrder(player)].find(candidate =>
+                    this.canPlayLine(player, candidate) && team.formation[candidate].length < lineLimits[candidate]
+                );
+                if (!line) continue;
                 
-                if (!assigned) {
-                    // Move to next team in snake pattern
-                    currentTeam += direction;
-                    if (currentTeam >= numTeams) { 
-                        currentTeam = numTeams - 1; 
-                        direction = -1; 
-                    } else if (currentTeam < 0) { 
-                        currentTeam = 0; 
-                        direction = 1; 
-                    }
-                    attempts++;
-                }
-            }
-            
-            if (assigned) {
-                // Continue snake pattern for next player
-                currentTeam += direction;
-                if (currentTeam >= numTeams) { 
-                    currentTeam = numTeams - 1; 
-                    direction = -1; 
-                } else if (currentTeam < 0) { 
-                    currentTeam = 0; 
-                    direction = 1; 
-                }
+                this.assignPlayerToLine(player, team, line);
+                assignedPlayers.add(player.id);
+                runningTotals[index] += this.getTeamRatingContribution(player, team);
+                break;
             }
         }
         
@@ -451,21 +489,10 @@ class TeamGenerator {
             
             let assigned = false;
             for (const team of teamsWithSpace) {
-                if (team.formation.defenders.length < 4) {
-                    team.formation.defenders.push(player);
-                    team.players.push(player);
-                    assignedPlayers.add(player.id);
-                    assigned = true;
-                    break;
-                } else if (team.formation.midfielders.length < 4) {
-                    team.formation.midfielders.push(player);
-                    team.players.push(player);
-                    assignedPlayers.add(player.id);
-                    assigned = true;
-                    break;
-                } else if (team.formation.forwards.length < 3) {
-                    team.formation.forwards.push(player);
-                    team.players.push(player);
+                // Any open line will do, starting with the one the player rates highest in
+                const line = this.getLinePreferenceOrder(player).find(candidate => team.formation[candidate].length < lineLimits[candidate]);
+                if (line) {
+                    this.assignPlayerToLine(player, team, line);
                     assignedPlayers.add(player.id);
                     assigned = true;
                     break;
@@ -475,6 +502,7 @@ class TeamGenerator {
             if (!assigned && teamsWithSpace.length > 0) {
                 // Just add to the smallest team as substitute
                 const smallestTeam = teamsWithSpace[0];
+                smallestTeam.substitutes.push(player);
                 smallestTeam.players.push(player);
                 assignedPlayers.add(player.id);
                 console.log(`Assigned ${player.name} to Team ${smallestTeam.id} as substitute (flexible)`);
@@ -488,12 +516,28 @@ class TeamGenerator {
                 delete player.tempRatingAdjustment;
             });
             
-            team.totalRating = team.players.reduce((sum, player) => sum + this.app.playerManager.getPlayerOverallRating(player), 0);
-            team.averageRating = team.players.length > 0 
-                ? (team.totalRating / team.players.length).toFixed(1)
-                : 0;
+            this.calculateTeamStats(team);
         });
         
+        // PHASE 4: Repair broken "keep together" / "keep apart" pairing constraints
+        const constraints = this.app.constraintManager.getActiveConstraints(sourcePlayersArray);
+        this.enforcePairingConstraints(teams, constraints);
+        
+        // PHASE 5: Optional post-draft refinement to shrink the rating gap between teams,
+        // then attribute balancing (always on; weights of 0 switch single attributes off)
+        this.app.balanceRefinement = null;
+        if (numTeams > 1) {
+            if (this.app.settings.refineBalance) {
+                this.app.balanceRefinement = this.refineTeamBalance(teams, this.app.settings.balanceTolerance, constraints);
+            }
+            this.balanceAttributes(teams, constraints);
+        }
+        
+        // Constraints still broken after repair and refinement are reported next to the teams
+        this.app.unmetConstraints = this.app.constraintManager.getViolations(
+            constraints, this.app.constraintManager.getTeamAssignments(teams)
+        );
+        
         const totalPlayersUsed = teams.reduce((sum, team) => sum + team.players.length, 0);
         const teamSizes = teams.map(team => team.players.length);
         console.log(`Size-controlled team generation complete: ${totalPlayersUsed} players used out of ${sortedPlayers.length} available`);
@@ -502,6 +546,549 @@ class TeamGenerator {
         return teams;
     }
 
+    // Puts a player into an outfield line at their best position in it
+    assignPlayerToLine(player, team, line) {
+        const roles = { defenders: 'defender', midfielders: 'midfielder', forwards: 'forward' };
+        player.assignedPosition = this.getBestPositionForFormationLine(player, roles[line]);
+        team.formation[line].push(player);
+        team.players.push(player);
+    }
+
+    // Puts a locked player into their previous line, another line they can play, or the bench
+    placeLockedPlayer(player, team, previousLine, lineLimits) {
+        const hasRoom = line => line === 'goalkeeper'
+            ? !team.formation.goalkeeper
+            : team.formation[line].length < lineLimits[line];
+        const lineRoles = { goalkeeper: 'goalkeeper', defenders: 'defender', midfielders: 'midfielder', forwards: 'forward' };
+        const line = previousLine !== 'substitutes' && hasRoom(previousLine)
+            ? previousLine
+            : ['defenders', 'midfielders', 'forwards'].find(candidate => hasRoom(candidate) && this.canPlayLine(player, candidate));
+        
+        if (line === 'goalkeeper') {
+            team.formation.goalkeeper = player;
+        } else if (line) {
+            team.formation[line].push(player);
+        } else {
+            team.substitutes.push(player);
+        }
+        
+        if (line) {
+            player.assignedPosition = this.getBestPositionForFormationLine(player, lineRoles[line]);
+        }
+        team.players.push(player);
+    }
+
+    // Rating used for balancing: the manual overall, blended with the form rating when enabled
+    getPlayerRating(player) {
+        return this.app.formRatingManager.getEffectiveRating(player);
+    }
+
+    /**
+     * Determines the best specific position for a player in a formation line
+     * 
+     * Every position of the line is rated (attributes and familiarity, see
+     * PlayerManager.getPlayerRatingForPosition) and the highest rating wins; the player's
+     * own positions are tried first so they win ties.
+     */
+    getBestPositionForFormationLine(player, formationLine) {
+        // For goalkeepers, always return GK
+        if (formationLine === 'goalkeeper') return 'GK';
+        
+        const lines = { defender: 'defenders', midfielder: 'midfielders', forward: 'forwards' };
+        const linePositions = LINE_POSITIONS[lines[formationLine]];
+        const ownPositions = linePositions.filter(position => player.positions.includes(position));
+        const candidates = [...ownPositions, ...linePositions.filter(position => !ownPositions.includes(position))];
+        
+        return this.app.playerManager.getBestPosition(player, candidates);
+    }
+
+    // Rating of a player at their best position in an outfield line
+    getLineRating(player, line) {
+        const roles = { defenders: 'defender', midfielders: 'midfielder', forwards: 'forward' };
+        return this.app.playerManager.getPlayerRatingForPosition(player, this.getBestPositionForFormationLine(player, roles[line]));
+    }
+
+    // Outfield lines ordered from the player's best to worst rating (lines they cannot play last)
+    getLinePreferenceOrder(player) {
+        return ['defenders', 'midfielders', 'forwards']
+            .map(line => ({ line, canPlay: this.canPlayLine(player, line), rating: this.getLineRating(player, line) }))
+            .sort((a, b) => (b.canPlay - a.canPlay) || (b.rating - a.rating))
+            .map(entry => entry.line);
+    }
+
+    // Goalkeeping rating of a team's keeper (the rotation's average for a rotating keeper, 0 for neither)
+    getKeeperRating(team) {
+        const goalkeeper = team.formation.goalkeeper;
+        if (!goalkeeper) return this.app.keeperRotationManager.getAverageKeeperRating(team);
+        return this.app.playerManager.getPlayerRatingForPosition(goalkeeper, 'GK');
+    }
+
+    // Gap between the best and the weakest keeper of a set of teams
+    getKeeperSpread(teams) {
+        const ratings = teams.map(team => this.getKeeperRating(team));
+        return Math.max(...ratings) - Math.min(...ratings);
+    }
+
+    // Rating a player adds to the team total from the slot they hold in it
+    getTeamRatingContribution(player, team) {
+        const line = player === team.formation.goalkeeper ? 'goalkeeper'
+            : team.substitutes.includes(player) ? 'substitutes'
+            : ['defenders', 'midfielders', 'forwards'].find(candidate => team.formation[candidate].includes(player)) || 'substitutes';
+        return this.getSlotContribution(player, line);
+    }
+
+    /**
+     * Rating a player would add to a team from the given slot line
+     * 
+     * The rating at the position played there (GK in goal, the assigned or best position of an outfield
+     * line, the preferred position on the bench), blended with form like getPlayerRating.
+     */
+    getSlotContribution(player, line) {
+        const lineRoles = { defenders: 'defender', midfielders: 'midfielder', forwards: 'forward' };
+        let position;
+        if (line === 'goalkeeper') {
+            position = 'GK';
+        } else if (lineRoles[line]) {
+            position = LINE_POSITIONS[line].includes(player.assignedPosition)
+                ? player.assignedPosition
+                : this.getBestPositionForFormationLine(player, lineRoles[line]);
+        } else {
+            position = this.app.playerManager.getSlotPosition(player, 'substitutes');
+        }
+        return this.app.formRatingManager.getEffectiveRatingForPosition(player, position);
+    }
+
+    // Recalculates a team's total rating, average rating and attribute totals from its current players
+    calculateTeamStats(team) {
+        const totalRating = team.players.reduce((sum, player) => sum + this.getTeamRatingContribution(player, team), 0);
+        team.totalRating = Math.round(totalRating * 10) / 10; // Blended form ratings can carry decimals
+        team.averageRating = team.players.length > 0 
+            ? (team.totalRating / team.players.length).toFixed(1)
+            : 0;
+        
+        // Aggregate outfield attributes (the player in goal does not contribute)
+        team.attributeTotals = this.createEmptyAttributeTotals();
+        team.players.forEach(player => {
+            const line = player === team.formation.goalkeeper ? 'goalkeeper' : 'outfield';
+            const values = this.getPlayerAttributeValues(player, line);
+            BALANCE_ATTRIBUTES.forEach(attribute => {
+                team.attributeTotals[attribute] += values[attribute];
+            });
+        });
+    }
+
+    // Attribute totals object with every balanced attribute set to 0
+    createEmptyAttributeTotals() {
+        return Object.fromEntries(BALANCE_ATTRIBUTES.map(attribute => [attribute, 0]));
+    }
+
+    // A player's contribution to the team's attribute totals from the line they play in
+    getPlayerAttributeValues(player, line) {
+        const values = this.createEmptyAttributeTotals();
+        if (line === 'goalkeeper' || !player.outfieldStats) return values;
+        
+        BALANCE_ATTRIBUTES.forEach(attribute => {
+            values[attribute] = player.outfieldStats[attribute] || 0;
+        });
+        return values;
+    }
+
+    // Attribute weights from settings (0 means the attribute is ignored when balancing)
+    getAttributeWeights() {
+        const savedWeights = this.app.settings.attributeWeights || {};
+        return Object.fromEntries(BALANCE_ATTRIBUTES.map(attribute => [
+            attribute,
+            typeof savedWeights[attribute] === 'number' ? savedWeights[attribute] : 1
+        ]));
+    }
+
+    // Gap between the highest and lowest team total for every balanced attribute
+    getAttributeSpreads(teams) {
+        return Object.fromEntries(BALANCE_ATTRIBUTES.map(attribute => {
+            const totals = teams.map(team => (team.attributeTotals || {})[attribute] || 0);
+            return [attribute, Math.max(...totals) - Math.min(...totals)];
+        }));
+    }
+
+    /**
+     * Attribute imbalance between teams, the second objective of the swap passes after the rating spread
+     * 
+     * Formula: Σ (attribute weight × attribute spread) / number of attributes
+     * With every weight at 0 this is 0, so attributes are ignored.
+     */
+    calculateAttributeCost(attributeTotals, weights) {
+        const spread = values => Math.max(...values) - Math.min(...values);
+        
+        return BALANCE_ATTRIBUTES.reduce((sum, attribute) =>
+            sum + weights[attribute] * spread(attributeTotals.map(totals => totals[attribute])), 0
+        ) / BALANCE_ATTRIBUTES.length;
+    }
+
+    // Current attribute imbalance of a set of teams
+    getAttributeCost(teams) {
+        return this.calculateAttributeCost(teams.map(team => team.attributeTotals), this.getAttributeWeights());
+    }
+
+    // Gap between the strongest and weakest team by total rating
+    getRatingSpread(teams) {
+        if (!teams || teams.length < 2) return 0;
+        const totals = teams.map(team => team.totalRating);
+        return Math.max(...totals) - Math.min(...totals);
+    }
+
+    /**
+     * Post-draft refinement: swaps players between teams to shrink the rating spread
+     * 
+     * Hill Climbing Approach:
+     * - Tries every swap of two players on different teams
+     * - Applies the swap that shrinks the rating spread the most (ties go to the better attribute balance), then repeats
+     * - Stops early once the rating spread is within the balance tolerance
+     * - Stops when no swap shrinks the spread (local optimum)
+     * 
+     * Formation Coverage:
+     * - A swap may never leave a line with fewer players who can actually play there
+     * - Goalkeepers are only replaced by GK-capable players
+     * - A swap may never break a pairing constraint that is currently met
+     * - Locked players are never swapped
+     * 
+     * Time Complexity: O(k · n²) for k swaps over n players
+     */
+    refineTeamBalance(teams, tolerance = 0, constraints = []) {
+        const initialSpread = this.getRatingSpread(teams);
+        const maxSwaps = 50; // Safety limit; in practice the spread settles after a handful of swaps
+        let swaps = 0;
+        
+        while (this.getRatingSpread(teams) > tolerance && swaps < maxSwaps) {
+            const bestSwap = this.findBestSwap(teams, constraints, 'rating');
+            if (!bestSwap) break; // No swap shrinks the spread any further
+            
+            this.swapPlayers(bestSwap.first, bestSwap.second);
+            swaps++;
+        }
+        
+        const finalSpread = this.getRatingSpread(teams);
+        console.log(`Balance refinement: spread ${initialSpread} → ${finalSpread} after ${swaps} swap(s) (tolerance ${tolerance})`);
+        
+        return { initialSpread, finalSpread, swaps, tolerance };
+    }
+
+    /**
+     * Attribute balancing: swaps players between teams to even out the weighted attribute totals
+     * 
+     * Same hill climbing and swap rules as refineTeamBalance, but a swap only has to shrink the
+     * attribute imbalance, and it may never widen the rating spread. Returns the number of swaps.
+     */
+    balanceAttributes(teams, constraints = []) {
+        const initialCost = this.getAttributeCost(teams);
+        const maxSwaps = 50;
+        let swaps = 0;
+        
+        while (swaps < maxSwaps) {
+            const bestSwap = this.findBestSwap(teams, constraints, 'attributes');
+            if (!bestSwap) break;
+            
+            this.swapPlayers(bestSwap.first, bestSwap.second);
+            swaps++;
+        }
+        
+        console.log(`Attribute balancing: imbalance ${initialCost.toFixed(1)} → ${this.getAttributeCost(teams).toFixed(1)} after ${swaps} swap(s)`);
+        return swaps;
+    }
+
+    /**
+     * Finds the best swap between two teams for a swap pass
+     * 
+     * objective 'rating': the swap must shrink the rating spread; the smallest spread wins, then the attribute imbalance
+     * objective 'attributes': the swap must shrink the attribute imbalance; the smallest imbalance wins, then the spread
+     * No swap may widen the rating spread.
+     */
+    findBestSwap(teams, constraints = [], objective = 'rating') {
+        const spread = values => Math.max(...values) - Math.min(...values);
+        const weights = this.getAttributeWeights();
+        const teamOf = this.app.constraintManager.getTeamAssignments(teams);
+        const teamSlots = teams.map(team => this.getMovableSlots(team));
+        const currentSpread = this.getRatingSpread(teams);
+        const currentCost = this.getAttributeCost(teams);
+        let bestSwap = null;
+        let best = objective === 'rating'
+            ? { primary: currentSpread, secondary: Infinity }
+            : { primary: currentCost, secondary: Infinity };
+        
+        for (let a = 0; a < teams.length; a++) {
+            for (let b = a + 1; b < teams.length; b++) {
+                for (const first of teamSlots[a]) {
+                    for (const second of teamSlots[b]) {
+                        // Rating and attributes moved from team a to team b by this swap
+                        // (a player moving into or out of goal changes what they contribute)
+                        const firstValues = this.getPlayerAttributeValues(first.player, first.line);
+                        const secondValues = this.getPlayerAttributeValues(second.player, second.line);
+                        
+                        const totals = teams.map(team => team.totalRating);
+                        totals[a] += this.getSlotContribution(second.player, first.line) - this.getSlotContribution(first.player, first.line);
+                        totals[b] += this.getSlotContribution(first.player, second.line) - this.getSlotContribution(second.player, second.line);
+                        
+                        const attributeTotals = teams.map(team => ({ ...team.attributeTotals }));
+                        BALANCE_ATTRIBUTES.forEach(attribute => {
+                            const attributeShift = firstValues[attribute] - secondValues[attribute];
+                            attributeTotals[a][attribute] -= attributeShift;
+                            attributeTotals[b][attribute] += attributeShift;
+                        });
+                        
+                        const newSpread = spread(totals);
+                        if (newSpread > currentSpread) continue;
+                        
+                        const newCost = this.calculateAttributeCost(attributeTotals, weights);
+                        const candidate = objective === 'rating'
+                            ? { primary: newSpread, secondary: newCost }
+                            : { primary: newCost, secondary: newSpread };
+                        
+                        // Small epsilon avoids endless swaps over floating point noise
+                        const better = candidate.primary < best.primary - 1e-9 ||
+                            (bestSwap && Math.abs(candidate.primary - best.primary) <= 1e-9 && candidate.secondary < best.secondary - 1e-9);
+                        if (better && this.isSwapAllowed(first, second, constraints, teamOf)) {
+                            best = candidate;
+                            bestSwap = { first, second };
+                        }
+                    }
+                }
+            }
+        }
+        
+        return bestSwap;
+    }
+
+    // Lists every player of a team together with the slot (formation line or bench) they occupy
+    getTeamSlots(team) {
+        const slots = [];
+        if (team.formation.goalkeeper) {
+            slots.push({ team, line: 'goalkeeper', player: team.formation.goalkeeper });
+        }
+        ['defenders', 'midfielders', 'forwards', 'substitutes'].forEach(line => {
+            const players = line === 'substitutes' ? team.substitutes : team.formation[line];
+            players.forEach(player => slots.push({ team, line, player }));
+        });
+        return slots;
+    }
+
+    // Slots whose players may be swapped to another team (locked players stay put)
+    getMovableSlots(team) {
+        return this.getTeamSlots(team).filter(slot => !this.isPlayerLocked(slot.player.id));
+    }
+
+    // Whether a player is able to play in a formation line (the bench accepts anyone)
+    canPlayLine(player, line) {
+        if (line === 'substitutes') return true;
+        return player.positions.some(pos => LINE_POSITIONS[line].includes(pos));
+    }
+
+    // A swap is allowed only if it keeps formation coverage and breaks no pairing constraint that is currently met
+    isSwapAllowed(first, second, constraints = [], teamOf = null) {
+        if (!this.keepsFormationCoverage(first, second)) return false;
+        if (constraints.length === 0 || !teamOf) return true;
+        
+        const violationsBefore = this.app.constraintManager.getViolations(constraints, teamOf).length;
+        return this.countViolationsAfterSwap(first, second, constraints, teamOf) <= violationsBefore;
+    }
+
+    // A swap keeps formation coverage if neither team ends up with fewer players able to play a line
+    keepsFormationCoverage(first, second) {
+        // Goalkeepers can only be swapped for other goalkeepers
+        if ((first.line === 'goalkeeper') !== (second.line === 'goalkeeper')) return false;
+        
+        const keepsFirstSlotCovered = this.canPlayLine(second.player, first.line) || !this.canPlayLine(first.player, first.line);
+        const keepsSecondSlotCovered = this.canPlayLine(first.player, second.line) || !this.canPlayLine(second.player, second.line);
+        
+        return keepsFirstSlotCovered && keepsSecondSlotCovered;
+    }
+
+    // Number of pairing constraints broken if the two players traded teams
+    countViolationsAfterSwap(first, second, constraints, teamOf) {
+        const swappedTeamOf = new Map(teamOf);
+        swappedTeamOf.set(first.player.id, second.team.id);
+        swappedTeamOf.set(second.player.id, first.team.id);
+        return this.app.constraintManager.getViolations(constraints, swappedTeamOf).length;
+    }
+
+    /**
+     * Repairs pairing constraints broken by the draft
+     * 
+     * Greedy Repair:
+     * - Only players from broken constraints are moved (locked players never move)
+     * - Each is tried against every player on another team
+     * - The swap fixing the most constraints wins (ties: smallest rating change)
+     * - Swaps that keep formation coverage are preferred; if none helps, constraints
+     *   win over coverage (goalkeepers are still only swapped for goalkeepers)
+     * 
+     * Returns the constraints that are still broken afterwards.
+     */
+    enforcePairingConstraints(teams, constraints) {
+        if (constraints.length === 0 || teams.length < 2) return [];
+        
+        let teamOf = this.app.constraintManager.getTeamAssignments(teams);
+        let violations = this.app.constraintManager.getViolations(constraints, teamOf);
+        let swaps = 0;
+        
+        while (violations.length > 0 && swaps < 50) {
+            const bestSwap = this.findRepairSwap(teams, constraints, teamOf, violations, true) ||
+                this.findRepairSwap(teams, constraints, teamOf, violations, false);
+            
+            if (!bestSwap) break; // No single swap fixes another constraint
+            
+            this.swapPlayers(bestSwap.first, bestSwap.second);
+            swaps++;
+            
+            teamOf = this.app.constraintManager.getTeamAssignments(teams);
+            violations = this.app.constraintManager.getViolations(constraints, teamOf);
+        }
+        
+        console.log(`Pairing constraints: ${constraints.length - violations.length}/${constraints.length} met after ${swaps} repair swap(s)`);
+        return violations;
+    }
+
+    // Finds the swap that fixes the most broken constraints, optionally only among coverage-keeping swaps
+    findRepairSwap(teams, constraints, teamOf, violations, requireCoverage) {
+        const involvedIds = new Set(violations.flatMap(constraint => constraint.playerIds));
+        const slots = teams.flatMap(team => this.getMovableSlots(team));
+        let bestSwap = null;
+        
+        for (const first of slots.filter(slot => involvedIds.has(slot.player.id))) {
+            for (const second of slots) {
+                if (second.team === first.team) continue;
+                if ((first.line === 'goalkeeper') !== (second.line === 'goalkeeper')) continue;
+                if (requireCoverage && !this.keepsFormationCoverage(first, second)) continue;
+                
+                const remaining = this.countViolationsAfterSwap(first, second, constraints, teamOf);
+                if (remaining >= violations.length) continue;
+                
+                const ratingChange = Math.abs(this.getPlayerRating(first.player) -
+                    this.getPlayerRating(second.player));
+                
+                if (!bestSwap || remaining < bestSwap.remaining ||
+                    (remaining === bestSwap.remaining && ratingChange < bestSwap.ratingChange)) {
+                    bestSwap = { first, second, remaining, ratingChange };
+                }
+            }
+        }
+        
+        return bestSwap;
+    }
+
+    // Exchanges two players between their teams and slots, then refreshes team statistics
+    swapPlayers(first, second) {
+        this.placePlayerInSlot(second.player, first);
+        this.placePlayerInSlot(first.player, second);
+        
+        this.calculateTeamStats(first.team);
+        this.calculateTeamStats(second.team);
+    }
+
+    // Puts a player into the slot previously held by slot.player, keeping list order intact
+    placePlayerInSlot(player, slot) {
+        const { team, line } = slot;
+        const lineRoles = { goalkeeper: 'goalkeeper', defenders: 'defender', midfielders: 'midfielder', forwards: 'forward' };
+        
+        if (line === 'goalkeeper') {
+            team.formation.goalkeeper = player;
+        } else {
+            const players = line === 'substitutes' ? team.substitutes : team.formation[line];
+            players[players.indexOf(slot.player)] = player;
+        }
+        team.players[team.players.indexOf(slot.player)] = player;
+        
+        if (line === 'substitutes') {
+            delete player.assignedPosition;
+        } else {
+            player.assignedPosition = this.getBestPositionForFormationLine(player, lineRoles[line]);
+        }
+    }
+
+    /**
+     * Manual editing: moves a dragged player into a team's formation line or onto its bench
+     * 
+     * - Dropping onto an occupied goal swaps the two goalkeepers' places
+     * - Other lines simply grow (manual edits may leave the chosen shape)
+     * - Team stats, assigned positions and constraint warnings refresh immediately
+     */
+    movePlayerToLine(playerId, teamId, line) {
+        const slot = this.findPlayerSlot(playerId);
+        const targetTeam = this.app.teams.find(team => team.id === teamId);
+        if (!slot || !targetTeam || (slot.team === targetTeam && slot.line === line)) return false;
+        
+        // Only one goalkeeper per team: take the current keeper's place instead
+        if (line === 'goalkeeper' && targetTeam.formation.goalkeeper) {
+            return this.swapPlayersById(playerId, targetTeam.formation.goalkeeper.id);
+        }
+        
+        this.removePlayerFromSlot(slot);
+        
+        const player = slot.player;
+        if (line === 'goalkeeper') {
+            targetTeam.formation.goalkeeper = player;
+        } else if (line === 'substitutes') {
+            targetTeam.substitutes.push(player);
+        } else {
+            targetTeam.formation[line].push(player);
+        }
+        targetTeam.players.push(player);
+        
+        const lineRoles = { goalkeeper: 'goalkeeper', defenders: 'defender', midfielders: 'midfielder', forwards: 'forward' };
+        if (line === 'substitutes') {
+            delete player.assignedPosition;
+        } else {
+            player.assignedPosition = this.getBestPositionForFormationLine(player, lineRoles[line]);
+        }
+        
+        this.finishManualEdit([slot.team, targetTeam]);
+        return true;
+    }
+
+    // Manual editing: two players trade places (team and line)
+    swapPlayersById(firstPlayerId, secondPlayerId) {
+        const first = this.findPlayerSlot(firstPlayerId);
+        const second = this.findPlayerSlot(secondPlayerId);
+        if (!first || !second || first.player === second.player) return false;
+        if (first.team === second.team && first.line === second.line) return false; // Nothing would change
+        
+        this.swapPlayers(first, second);
+        this.finishManualEdit([first.team, second.team]);
+        return true;
+    }
+
+    // Finds the team and slot of a player in the generated teams
+    findPlayerSlot(playerId) {
+        return this.app.teams.flatMap(team => this.getTeamSlots(team)).find(slot => slot.player.id === playerId) || null;
+    }
+
+    // Takes a player out of their slot and team (used before moving them elsewhere)
+    removePlayerFromSlot(slot) {
+        const { team, line, player } = slot;
+        
+        if (line === 'goalkeeper') {
+            team.formation.goalkeeper = null;
+        } else {
+            const players = line === 'substitutes' ? team.substitutes : team.formation[line];
+            players.splice(players.indexOf(player), 1);
+        }
+        team.players.splice(team.players.indexOf(player), 1);
+    }
+
+    // Marks edited teams, recalculates their stats, keeper schedules, substitution plans and constraint warnings, then re-renders
+    finishManualEdit(editedTeams) {
+        new Set(editedTeams).forEach(team => {
+            team.manuallyEdited = true;
+            this.calculateTeamStats(team);
+        });
+        this.app.keeperRotationManager.updateSchedules([...new Set(editedTeams)]);
+        this.app.substitutionManager.updatePlans([...new Set(editedTeams)]);
+        
+        const constraints = this.app.constraintManager.getActiveConstraints(this.app.teams.flatMap(team => team.players));
+        this.app.unmetConstraints = this.app.constraintManager.getViolations(
+            constraints, this.app.constraintManager.getTeamAssignments(this.app.teams)
+        );
+        
+        this.app.uiManager.updateTeamsDisplay();
+    }
+
     // Utility function to count actual players in a team
     getTeamSize(team) {
         return [
@@ -512,14 +1099,58 @@ class TeamGenerator {
         ].filter(p => p !== null).length;
     }
 
-    // Fisher-Yates shuffle algorithm for array randomization
+    // Fisher-Yates shuffle algorithm for array randomization (uses the seeded generator)
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
     }
 
+    // Reads the balance refinement controls into settings and persists them
+    saveBalanceSettings() {
+        const refineCheckbox = document.getElementById('refineBalance');
+        const toleranceInput = document.getElementById('balanceTolerance');
+        
+        if (refineCheckbox) this.app.settings.refineBalance = refineCheckbox.checked;
+        if (toleranceInput) {
+            const tolerance = parseInt(toleranceInput.value);
+            this.app.settings.balanceTolerance = isNaN(tolerance) || tolerance < 0 ? 0 : tolerance;
+        }
+        
+        // Attribute weights (0 to 5, where 0 ignores the attribute)
+        const weights = this.getAttributeWeights();
+        BALANCE_ATTRIBUTES.forEach(attribute => {
+            const weightInput = document.getElementById(`weight_${attribute}`);
+            if (!weightInput) return;
+            const weight = parseFloat(weightInput.value);
+            weights[attribute] = isNaN(weight) ? weights[attribute] : Math.min(Math.max(weight, 0), 5);
+        });
+        this.app.settings.attributeWeights = weights;
+        
+        this.app.dataManager.saveSettingsToStorage();
+        this.updateBalanceControls();
+    }
+
+    // Shows the saved balance refinement settings in the generation controls
+    updateBalanceControls() {
+        const refineCheckbox = document.getElementById('refineBalance');
+        const toleranceInput = document.getElementById('balanceTolerance');
+        
+        if (refineCheckbox) refineCheckbox.checked = !!this.app.settings.refineBalance;
+        if (toleranceInput) {
+            toleranceInput.value = this.app.settings.balanceTolerance;
+            toleranceInput.disabled = !this.app.settings.refineBalance;
+        }
+        
+        const weights = this.getAttributeWeights();
+        BALANCE_ATTRIBUTES.forEach(attribute => {
+            const weightInput = document.getElementById(`weight_${attribute}`);
+            if (!weightInput) return;
+            weightInput.value = weights[attribute]; // Attribute balancing runs with or without refinement
+        });
+    }
+
     /**
      * UI State Management: Disable generation button after teams are created
      * 
@@ -557,6 +1188,9 @@ class TeamGenerator {
     checkTeamSettingsChange() {
         console.log('Checking team settings change...');
         
+        // A shared line-up is read-only and does not depend on local settings
+        if (this.app.sharedView) return;
+        
         // If teams exist, check if settings have changed
         if (this.app.teams && this.app.teams.length > 0) {
             const currentTeamCount = parseInt(document.getElementById('teamCount').value);
@@ -570,19 +1204,29 @@ class TeamGenerator {
                 currentPlayersToUse = this.app.players;
             }
             
-            console.log(`Current settings: ${currentTeamCount} teams, ${currentPlayersToUse.length} players`);
-            console.log(`Previous settings: ${this.app.teams.length} teams, ${this.app.lastGenerationPlayerCount} players`);
+            const currentShape = this.app.formationManager.getCurrentShape();
+            
+            console.log(`Current settings: ${currentTeamCount} teams, ${currentPlayersToUse.length} players, ${currentShape}`);
+            console.log(`Previous settings: ${this.app.teams.length} teams, ${this.app.lastGenerationPlayerCount} players, ${this.app.teams[0].shape}`);
+            
+            // Squad sizes change with the match format and bench size
+            const currentTargetSizes = this.calculateTeamSizes(currentPlayersToUse.length, currentTeamCount);
+            const squadSizesChanged = this.app.teams.some((team, i) => team.targetSize !== currentTargetSizes[i]);
             
-            // Check if team count changed or player selection changed significantly
+            // Check if team count, formation, squad sizes or player selection changed significantly
             if (this.app.teams.length !== currentTeamCount || 
+                this.app.teams[0].shape !== currentShape ||
+                squadSizesChanged ||
                 (this.app.lastGenerationPlayerCount && this.app.lastGenerationPlayerCount !== currentPlayersToUse.length)) {
                 console.log('Settings changed! Re-enabling generate button...');
                 this.enableGenerateButton();
                 // Hide regenerate button until new teams are generated
                 const regenerateBtn = document.getElementById('regenerateBtn');
                 if (regenerateBtn) regenerateBtn.style.display = 'none';
-                // Clear existing teams
+                // Clear existing teams (locks only make sense for the teams they were set on)
                 this.app.teams = [];
+                this.app.lockedPlayerIds.clear();
+                this.app.openMatchId = null;
                 this.app.uiManager.updateTeamsDisplay();
             } else {
                 console.log('No significant changes detected');
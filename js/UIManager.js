@@ -39,9 +39,11 @@ class UIManager {
         // Update application state for consistency
         this.app.currentTab = tabId;
 
-        // Context-aware content updates: only refresh data when viewing gallery
+        // Context-aware content updates: only refresh data when viewing gallery or history
         if (tabId === 'player-gallery') {
             this.updatePlayersList(); // Lazy loading pattern
+        } else if (tabId === 'match-history') {
+            this.app.matchHistoryManager.updateHistoryList();
         }
     }
 
@@ -139,6 +141,7 @@ class UIManager {
         const selectedCount = document.getElementById('selectedCount');
         
         playerCount.textContent = this.app.players.length;
+        this.updateConstraintsList(); // Constraint pickers list the current roster
         
         // Count selected players
         const selectedPlayers = this.app.players.filter(player => player.selected);
@@ -211,6 +214,7 @@ class UIManager {
                             </div>
                         </div>
                     </div>
+                    ${this.app.formRatingManager.renderFormLog(player)}
                     <div class="player-actions">
                         <div class="player-selection-checkbox">
                             <input type="checkbox" ${isSelected ? 'checked' : ''} 
@@ -270,6 +274,7 @@ class UIManager {
                             </div>
                         `).join('')}
                     </div>
+                    ${this.app.formRatingManager.renderFormLog(player)}
                     <div class="player-actions">
                         <div class="player-selection-checkbox">
                             <input type="checkbox" ${isSelected ? 'checked' : ''} 
@@ -288,27 +293,78 @@ class UIManager {
         }).join('');
     }
 
+    // Update the pairing constraint pickers and the list of existing constraints
+    updateConstraintsList() {
+        const constraintList = document.getElementById('constraint-list');
+        const constraintCount = document.getElementById('constraintCount');
+        if (!constraintList) return;
+        
+        constraintCount.textContent = this.app.constraints.length;
+        
+        // Refill both player pickers, keeping the current choices where possible
+        ['constraintPlayerA', 'constraintPlayerB'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            const previousValue = select.value;
+            select.innerHTML = '<option value="">Choose player</option>' + this.app.players.map(player =>
+                `<option value="${player.id}">${this.escapeHTML(player.name)}</option>`
+            ).join('');
+            select.value = this.app.players.some(player => String(player.id) === previousValue) ? previousValue : '';
+        });
+        
+        if (this.app.constraints.length === 0) {
+            constraintList.innerHTML = '<div class="constraint-empty">No constraints yet.</div>';
+            return;
+        }
+        
+        constraintList.innerHTML = this.app.constraints.map(constraint => `
+            <div class="constraint-item ${constraint.type}">
+                <span class="constraint-description">${this.escapeHTML(this.app.constraintManager.describeConstraint(constraint))}</span>
+                <button class="remove-constraint-btn" onclick="removePairingConstraint(${constraint.id})" title="Remove constraint">✕</button>
+            </div>
+        `).join('');
+    }
+
     // Update the teams display with improved team formation visualization
     updateTeamsDisplay() {
         const teamsDisplay = document.getElementById('teams-display');
         const regenerateBtn = document.getElementById('regenerateBtn');
+        const saveMatchBtn = document.getElementById('saveMatchBtn');
+        const shareBtn = document.getElementById('shareBtn');
+        const exportImageBtn = document.getElementById('exportImageBtn');
+        const copySheetBtns = document.querySelectorAll('.copy-sheet-btn');
         
         if (!this.app.teams || this.app.teams.length === 0) {
             teamsDisplay.innerHTML = '<div class="empty-state">Generate teams to see the results here!</div>';
             if (regenerateBtn) regenerateBtn.style.display = 'none';
+            if (saveMatchBtn) saveMatchBtn.style.display = 'none';
+            if (shareBtn) shareBtn.style.display = 'none';
+            if (exportImageBtn) exportImageBtn.style.display = 'none';
+            copySheetBtns.forEach(button => { button.style.display = 'none'; });
             this.app.teamGenerator.enableGenerateButton(); // Re-enable generate button when no teams exist
             return;
         }
         
-        // Show the regenerate button when teams are displayed
-        if (regenerateBtn) regenerateBtn.style.display = 'inline-block';
+        // Show the regenerate, save and share buttons when the user's own teams are displayed
+        const ownTeamsDisplay = this.app.sharedView ? 'none' : 'inline-block';
+        if (regenerateBtn) regenerateBtn.style.display = ownTeamsDisplay;
+        if (shareBtn) shareBtn.style.display = ownTeamsDisplay;
+        if (exportImageBtn) exportImageBtn.style.display = 'inline-block'; // Shared line-ups can be exported too
+        copySheetBtns.forEach(button => { button.style.display = 'inline-block'; });
+        if (saveMatchBtn) {
+            saveMatchBtn.style.display = ownTeamsDisplay;
+            saveMatchBtn.textContent = this.app.openMatchId ? '💾 Update Saved Match' : '💾 Save Match';
+        }
 
         const teamsHTML = this.app.teams.map(team => {
             return `
                 <div class="team-container">
                     <div class="team-header">
-                        <h3>${team.name}</h3>
+                        <h3>${this.escapeHTML(team.name)}${team.manuallyEdited ? ' <span class="edited-badge" title="Players were moved by hand after generation">✏️ Edited</span>' : ''}</h3>
                         <div class="team-stats">
+                            <div class="team-stat">
+                                <span class="stat-label">Formation:</span>
+                                <span class="stat-value formation-shape">${this.escapeHTML(team.shape)}</span>
+                            </div>
                             <div class="team-stat">
                                 <span class="stat-label">Players:</span>
                                 <span class="stat-value">${team.players.length}</span>
@@ -321,71 +377,31 @@ class UIManager {
                                 <span class="stat-label">Average Rating:</span>
                                 <span class="stat-value average-rating">${team.averageRating}</span>
                             </div>
+                            ${this.renderKeeperStat(team)}
                         </div>
+                        ${this.renderAttributeTotals(team)}
                     </div>
                     
                     <div class="team-formation">
                         <div class="soccer-pitch">
                             <!-- Attack Line (Top) -->
-                            ${team.formation.forwards.length > 0 ? `
-                                <div class="formation-line attack-line">
-                                    <div class="players-row">
-                                        ${this.sortPlayersByPosition(team.formation.forwards).map(player => `
-                                            <div class="player-position-card att">
-                                                <div class="player-name-pitch">${player.name}</div>
-                                                <div class="player-rating-pitch">${this.app.playerManager.getPlayerRatingForPosition(player, 'ATT')}</div>
-                                                <div class="player-position-pitch">${player.assignedPosition || player.preferredPosition || 'ATT'}</div>
-                                            </div>
-                                        `).join('')}
-                                    </div>
-                                </div>
-                            ` : ''}
+                            ${this.renderFormationLine(team, 'forwards', 'attack-line', [team.formation.forwards])}
                             
-                            <!-- Midfield Line -->
-                            ${team.formation.midfielders.length > 0 ? `
-                                <div class="formation-line midfield-line">
-                                    <div class="players-row">
-                                        ${this.sortPlayersByPosition(team.formation.midfielders).map(player => `
-                                            <div class="player-position-card mid">
-                                                <div class="player-name-pitch">${player.name}</div>
-                                                <div class="player-rating-pitch">${this.app.playerManager.getPlayerRatingForPosition(player, 'MID')}</div>
-                                                <div class="player-position-pitch">${player.assignedPosition || player.preferredPosition || 'MID'}</div>
-                                            </div>
-                                        `).join('')}
-                                    </div>
-                                </div>
-                            ` : ''}
+                            <!-- Midfield Lines (one row per midfield line of the formation, most advanced first) -->
+                            ${this.renderFormationLine(team, 'midfielders', 'midfield-line', this.getMidfieldRows(team).reverse())}
                             
                             <!-- Defense Line -->
-                            ${team.formation.defenders.length > 0 ? `
-                                <div class="formation-line defense-line">
-                                    <div class="players-row">
-                                        ${this.sortPlayersByPosition(team.formation.defenders).map(player => `
-                                            <div class="player-position-card def">
-                                                <div class="player-name-pitch">${player.name}</div>
-                                                <div class="player-rating-pitch">${this.app.playerManager.getPlayerRatingForPosition(player, 'DEF')}</div>
-                                                <div class="player-position-pitch">${player.assignedPosition || player.preferredPosition || 'DEF'}</div>
-                                            </div>
-                                        `).join('')}
-                                    </div>
-                                </div>
-                            ` : ''}
+                            ${this.renderFormationLine(team, 'defenders', 'defense-line', [team.formation.defenders])}
                             
                             <!-- Goalkeeper (Bottom) -->
-                            ${team.formation.goalkeeper ? `
-                                <div class="formation-line goalkeeper-line">
-                                    <div class="players-row">
-                                        <div class="player-position-card gk">
-                                            <div class="player-name-pitch">${team.formation.goalkeeper.name}</div>
-                                            <div class="player-rating-pitch">${this.app.playerManager.getPlayerRatingForPosition(team.formation.goalkeeper, 'GK')}</div>
-                                            <div class="player-position-pitch">GK</div>
-                                        </div>
-                                    </div>
-                                </div>
-                            ` : ''}
+                            ${this.renderFormationLine(team, 'goalkeeper', 'goalkeeper-line', [team.formation.goalkeeper ? [team.formation.goalkeeper] : []])}
                         </div>
                     </div>
                     
+                    ${this.renderSubstitutionPlan(team)}
+                    
+                    ${this.renderKeeperRotation(team)}
+                    
                     <!-- Formation Accuracy Disclaimer -->
                     <div class="formation-disclaimer">
                         <p><em>⚠️ Note: The formation visualization above may not be 100% accurate in terms of exact player positioning.</em></p>
@@ -399,7 +415,7 @@ class UIManager {
                                 <div class="lineup-section">
                                     <h5>Goalkeeper (1)</h5>
                                     <div class="lineup-player">
-                                        <span class="lineup-name">${team.formation.goalkeeper.name}</span>
+                                        <span class="lineup-name">${this.escapeHTML(team.formation.goalkeeper.name)}</span>
                                         <span class="lineup-position">GK</span>
                                         <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(team.formation.goalkeeper, 'GK')}</span>
                                     </div>
@@ -411,9 +427,9 @@ class UIManager {
                                     <h5>Defenders (${team.formation.defenders.length})</h5>
                                     ${team.formation.defenders.map(player => `
                                         <div class="lineup-player">
-                                            <span class="lineup-name">${player.name}</span>
-                                            <span class="lineup-position">${player.assignedPosition || player.preferredPosition || 'DEF'}</span>
-                                            <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(player, 'DEF')}</span>
+                                            <span class="lineup-name">${this.escapeHTML(player.name)}</span>
+                                            <span class="lineup-position">${this.escapeHTML(player.assignedPosition || player.preferredPosition || 'DEF')}</span>
+                                            <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(player, this.app.playerManager.getSlotPosition(player, 'defenders'))}</span>
                                         </div>
                                     `).join('')}
                                 </div>
@@ -424,9 +440,9 @@ class UIManager {
                                     <h5>Midfielders (${team.formation.midfielders.length})</h5>
                                     ${team.formation.midfielders.map(player => `
                                         <div class="lineup-player">
-                                            <span class="lineup-name">${player.name}</span>
-                                            <span class="lineup-position">${player.assignedPosition || player.preferredPosition || 'MID'}</span>
-                                            <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(player, 'MID')}</span>
+                                            <span class="lineup-name">${this.escapeHTML(player.name)}</span>
+                                            <span class="lineup-position">${this.escapeHTML(player.assignedPosition || player.preferredPosition || 'MID')}</span>
+                                            <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(player, this.app.playerManager.getSlotPosition(player, 'midfielders'))}</span>
                                         </div>
                                     `).join('')}
                                 </div>
@@ -437,9 +453,9 @@ class UIManager {
                                     <h5>Forwards (${team.formation.forwards.length})</h5>
                                     ${team.formation.forwards.map(player => `
                                         <div class="lineup-player">
-                                            <span class="lineup-name">${player.name}</span>
-                                            <span class="lineup-position">${player.assignedPosition || player.preferredPosition || 'ATT'}</span>
-                                            <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(player, 'ATT')}</span>
+                                            <span class="lineup-name">${this.escapeHTML(player.name)}</span>
+                                            <span class="lineup-position">${this.escapeHTML(player.assignedPosition || player.preferredPosition || 'ATT')}</span>
+                                            <span class="lineup-rating">${this.app.playerManager.getPlayerRatingForPosition(player, this.app.playerManager.getSlotPosition(player, 'forwards'))}</span>
                                         </div>
                                     `).join('')}
                                 </div>
@@ -447,35 +463,409 @@ class UIManager {
                         </div>
                     </div>
                     
-                    ${team.players.length > 11 ? `
+                    ${team.substitutes.length > 0 ? `
                         <div class="team-substitutes">
-                            <h4>Substitutes</h4>
-                            <div class="substitute-players">
-                                ${team.players.slice(11).map(player => {
-                                    // Determine position category for substitute rating
-                                    const preferredPos = player.preferredPosition;
-                                    let positionCategory = 'ATT'; // default
-                                    if (preferredPos === 'GK') positionCategory = 'GK';
-                                    else if (['CB', 'LB', 'RB'].includes(preferredPos)) positionCategory = 'DEF';
-                                    else if (['CDM', 'CM', 'CAM', 'LM', 'RM'].includes(preferredPos)) positionCategory = 'MID';
-                                    else if (['LW', 'RW', 'ST'].includes(preferredPos)) positionCategory = 'ATT';
+                            <h4>Substitutes (${team.substitutes.length})</h4>
+                            <div class="substitute-players drop-zone" data-team-id="${team.id}" data-line="substitutes">
+                                ${team.substitutes.map(player => {
+                                    // Substitutes are rated at their preferred position
+                                    const preferredPos = this.app.playerManager.getSlotPosition(player, 'substitutes');
                                     
                                     return `
-                                        <div class="substitute-player">
-                                            <span class="sub-name">${player.name}</span>
-                                            <span class="sub-position">${preferredPos}</span>
-                                            <span class="sub-rating">${this.app.playerManager.getPlayerRatingForPosition(player, positionCategory)}</span>
+                                        <div class="substitute-player${this.getLockClass(player)}"${this.getDragAttributes(player)}>
+                                            ${this.renderLockToggle(player)}
+                                            <span class="sub-name">${this.escapeHTML(player.name)}</span>
+                                            <span class="sub-position">${this.escapeHTML(preferredPos)}</span>
+                                            <span class="sub-rating">${this.app.playerManager.getPlayerRatingForPosition(player, preferredPos)}</span>
                                         </div>
                                     `;
                                 }).join('')}
                             </div>
                         </div>
-                    ` : ''}
+                    ` : `
+                        <div class="team-substitutes empty-drop-zone">
+                            <div class="substitute-players drop-zone" data-team-id="${team.id}" data-line="substitutes">Drop here to move to the bench</div>
+                        </div>
+                    `}
                 </div>
             `;
         }).join('');
 
-        teamsDisplay.innerHTML = teamsHTML;
+        teamsDisplay.innerHTML = this.renderSharedViewNotice() + this.renderOpenMatchNotice() + this.renderBalanceSummary() + this.renderConstraintNotice() + this.renderLeftOutNotice() + this.renderSeedInfo() + this.renderLockHint() + teamsHTML;
+    }
+
+    /**
+     * Renders one formation line of the pitch as a drop zone for drag-and-drop editing
+     * 
+     * rows: the line's players split into pitch rows (midfields can span several rows)
+     * Empty lines are only shown while a player is being dragged.
+     */
+    renderFormationLine(team, line, lineClass, rows) {
+        const cardClasses = { goalkeeper: 'gk', defenders: 'def', midfielders: 'mid', forwards: 'att' };
+        const filledRows = rows.filter(row => row.length > 0);
+        
+        if (filledRows.length === 0) {
+            return `
+                <div class="formation-line ${lineClass} drop-zone empty-drop-zone" data-team-id="${team.id}" data-line="${line}">
+                    <div class="players-row">Drop here to play ${this.formatLineName(line)}</div>
+                </div>
+            `;
+        }
+        
+        return filledRows.map(row => `
+            <div class="formation-line ${lineClass} drop-zone" data-team-id="${team.id}" data-line="${line}">
+                <div class="players-row">
+                    ${this.sortPlayersByPosition(row).map(player => `
+                        <div class="player-position-card ${cardClasses[line]}${this.getLockClass(player)}"${this.getDragAttributes(player)}>
+                            ${this.renderLockToggle(player)}
+                            <div class="player-name-pitch">${this.escapeHTML(player.name)}</div>
+                            <div class="player-rating-pitch">${this.app.playerManager.getPlayerRatingForPosition(player, this.app.playerManager.getSlotPosition(player, line))}</div>
+                            <div class="player-position-pitch">${this.escapeHTML(this.app.playerManager.getSlotPosition(player, line))}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Human-readable name of a formation line, e.g. "in defence"
+    formatLineName(line) {
+        const names = { goalkeeper: 'in goal', defenders: 'in defence', midfielders: 'in midfield', forwards: 'in attack', substitutes: 'on the bench' };
+        return names[line] || line;
+    }
+
+    // Lock button shown on player cards in the generated teams view
+    renderLockToggle(player) {
+        if (this.app.sharedView) return ''; // Shared line-ups are read-only
+        
+        const locked = this.app.teamGenerator.isPlayerLocked(player.id);
+        return `
+            <button class="lock-toggle" onclick="togglePlayerLock(${player.id})"
+                title="${locked ? 'Unlock: player may move on regenerate' : 'Lock: keep player on this team when regenerating'}">${locked ? '🔒' : '🔓'}</button>
+        `;
+    }
+
+    // Seed of the teams on display, so the draw can be re-run and checked by anyone
+    renderSeedInfo() {
+        const generationSeed = this.app.generationSeed;
+        if (!generationSeed) return '';
+        
+        const notes = [];
+        if (generationSeed.lockedCount > 0) notes.push(`${generationSeed.lockedCount} player(s) were locked`);
+        if (this.app.teams.some(team => team.manuallyEdited)) notes.push('teams were edited by hand afterwards');
+        
+        return `
+            <div class="seed-info">
+                🎲 Seed <strong class="seed-value">${generationSeed.seed}</strong>
+                <span class="seed-help">Enter it under "Seed" and press "Re-run seed" to reproduce this draw with the same players and settings${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.</span>
+            </div>
+        `;
+    }
+
+    // Short explanation of player locks, with the number of players currently locked
+    renderLockHint() {
+        if (this.app.sharedView) return '';
+        
+        const lockedCount = this.app.teams.reduce((count, team) =>
+            count + team.players.filter(player => this.app.teamGenerator.isPlayerLocked(player.id)).length, 0
+        );
+        
+        return `
+            <p class="lock-hint">
+                ${lockedCount > 0 ? `🔒 ${lockedCount} player(s) locked. ` : ''}Lock a player to keep them on their team when you regenerate.
+                Drag players between lines and teams to adjust them by hand (drop onto a player to swap).
+            </p>
+        `;
+    }
+
+    // Makes a player card draggable for manual editing (not in the read-only shared view)
+    getDragAttributes(player) {
+        return this.app.sharedView ? '' : ` draggable="true" data-player-id="${player.id}"`;
+    }
+
+    // Extra card class for locked players
+    getLockClass(player) {
+        return this.app.teamGenerator.isPlayerLocked(player.id) ? ' locked' : '';
+    }
+
+    /**
+     * Drag-and-drop editing of generated teams
+     * 
+     * Uses event delegation on the teams container, so the listeners survive re-rendering.
+     * - Dropping onto another player swaps the two players
+     * - Dropping onto a line or bench moves the player there
+     */
+    initializeTeamDragAndDrop() {
+        const teamsDisplay = document.getElementById('teams-display');
+        if (!teamsDisplay) return;
+        
+        let draggedPlayerId = null;
+        
+        teamsDisplay.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('[data-player-id]');
+            if (!card) return;
+            
+            draggedPlayerId = parseFloat(card.dataset.playerId);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', card.dataset.playerId); // Required for Firefox to start the drag
+            teamsDisplay.classList.add('drag-active'); // Reveals empty lines as drop targets
+            card.classList.add('dragging');
+        });
+        
+        teamsDisplay.addEventListener('dragend', () => {
+            draggedPlayerId = null;
+            teamsDisplay.classList.remove('drag-active');
+            teamsDisplay.querySelectorAll('.dragging, .drag-over').forEach(element => element.classList.remove('dragging', 'drag-over'));
+        });
+        
+        teamsDisplay.addEventListener('dragover', (e) => {
+            const zone = e.target.closest('.drop-zone');
+            if (!zone || draggedPlayerId === null) return;
+            
+            e.preventDefault(); // Allows dropping
+            e.dataTransfer.dropEffect = 'move';
+            teamsDisplay.querySelectorAll('.drag-over').forEach(element => element.classList.remove('drag-over'));
+            zone.classList.add('drag-over');
+        });
+        
+        teamsDisplay.addEventListener('drop', (e) => {
+            const zone = e.target.closest('.drop-zone');
+            if (!zone || draggedPlayerId === null) return;
+            e.preventDefault();
+            
+            const playerId = draggedPlayerId;
+            const targetCard = e.target.closest('[data-player-id]');
+            
+            // Re-rendering removes the dragged card, so its dragend may never reach this container
+            draggedPlayerId = null;
+            teamsDisplay.classList.remove('drag-active');
+            
+            if (targetCard) {
+                this.app.teamGenerator.swapPlayersById(playerId, parseFloat(targetCard.dataset.playerId));
+            } else {
+                this.app.teamGenerator.movePlayerToLine(playerId, parseInt(zone.dataset.teamId), zone.dataset.line);
+            }
+        });
+    }
+
+    // Banner shown while a line-up from a share link is on display
+    renderSharedViewNotice() {
+        if (!this.app.sharedView) return '';
+        
+        return `
+            <div class="shared-view-notice">
+                <span>🔗 Shared line-up (read-only)</span>
+                <span>
+                    <button onclick="exportTeamsImage()" class="close-shared-btn">🖼️ Export Image</button>
+                    <button onclick="copyTeamSheet('text')" class="close-shared-btn">📋 Copy Text</button>
+                    <button onclick="closeSharedView()" class="close-shared-btn">Back to my teams</button>
+                </span>
+            </div>
+        `;
+    }
+
+    // Hides the generation controls while a shared line-up is on display
+    updateSharedViewControls() {
+        document.querySelectorAll('.generation-info, .generation-controls').forEach(element => {
+            element.style.display = this.app.sharedView ? 'none' : '';
+        });
+    }
+
+    // Notice shown while the teams on display belong to a saved match
+    renderOpenMatchNotice() {
+        const match = this.app.matchHistoryManager.getMatch(this.app.openMatchId);
+        if (!match) return '';
+        
+        return `
+            <div class="open-match-notice">
+                📅 Saved match from ${this.app.matchHistoryManager.formatMatchDate(match.date)} · ${this.escapeHTML(this.app.matchHistoryManager.describeResult(match))}
+            </div>
+        `;
+    }
+
+    // Notice listing pairing constraints the generated teams could not meet
+    renderConstraintNotice() {
+        const unmetConstraints = this.app.unmetConstraints || [];
+        if (unmetConstraints.length === 0) return '';
+        
+        return `
+            <div class="generation-notice">
+                <p><strong>${unmetConstraints.length} pairing constraint(s) could not be met with ${this.app.teams.length} teams:</strong></p>
+                ${unmetConstraints.map(constraint => `<p>• ${this.escapeHTML(this.app.constraintManager.describeConstraint(constraint))}</p>`).join('')}
+            </div>
+        `;
+    }
+
+    // Team totals for each outfield attribute (PAC, SHO, PAS, DRI, DEF, PHY)
+    renderAttributeTotals(team) {
+        if (!team.attributeTotals || this.app.sharedView) return ''; // Share links carry no attributes
+        
+        return `
+            <div class="team-attributes">
+                ${BALANCE_ATTRIBUTES.map(attribute => `
+                    <div class="stat-item">
+                        <div class="stat-label">${this.formatAttributeShort(attribute)}</div>
+                        <div class="stat-value">${team.attributeTotals[attribute]}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Converts an outfield attribute name to its FIFA-style abbreviation
+    formatAttributeShort(attribute) {
+        const labels = {
+            'pace': 'PAC',
+            'shooting': 'SHO',
+            'passing': 'PAS',
+            'dribbling': 'DRI',
+            'defending': 'DEF',
+            'physical': 'PHY'
+        };
+        return labels[attribute] || attribute;
+    }
+
+    // Summary bar showing the final rating spread between the strongest and weakest team
+    renderBalanceSummary() {
+        if (this.app.teams.length < 2) return '';
+        
+        const spread = this.app.teamGenerator.getRatingSpread(this.app.teams);
+        const attributeSpreads = this.app.teamGenerator.getAttributeSpreads(this.app.teams);
+        const refinement = this.app.balanceRefinement;
+        
+        return `
+            <div class="balance-summary">
+                <span class="balance-spread">Rating spread: <strong>${spread}</strong></span>
+                <span class="balance-keepers">Keeper gap: <strong>${this.app.teamGenerator.getKeeperSpread(this.app.teams)}</strong></span>
+                ${this.app.sharedView ? '' : `
+                    <span class="balance-attributes">
+                        ${BALANCE_ATTRIBUTES.map(attribute => `${this.formatAttributeShort(attribute)} ±${attributeSpreads[attribute]}`).join(' · ')}
+                    </span>
+                `}
+                ${refinement ? `
+                    <span class="balance-refinement">
+                        ${refinement.swaps > 0
+                            ? `Refined from ${refinement.initialSpread} with ${refinement.swaps} swap(s)`
+                            : 'No swap could improve the draft'}
+                        (tolerance ${refinement.tolerance})
+                    </span>
+                ` : ''}
+                ${this.app.teams.some(team => team.manuallyEdited) ? '<span class="balance-edited">✏️ Adjusted by hand</span>' : ''}
+            </div>
+        `;
+    }
+
+    // Keeper rating in the team header, with the gap to the best keeper of the draw
+    renderKeeperStat(team) {
+        const keeperRating = this.app.teamGenerator.getKeeperRating(team);
+        const bestKeeperRating = Math.max(...this.app.teams.map(other => this.app.teamGenerator.getKeeperRating(other)));
+        const gap = bestKeeperRating - keeperRating;
+        
+        return `
+            <div class="team-stat">
+                <span class="stat-label">Keeper:</span>
+                <span class="stat-value keeper-rating">${team.formation.goalkeeper ? keeperRating : team.keeperRotation ? `Rotating (${keeperRating})` : 'None'}</span>
+                ${gap > 0 ? `<span class="keeper-gap" title="Keeper rating gap to the best keeper, made up for by stronger outfield picks">−${gap}</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Playing-time timeline of a team's substitution plan
+     * 
+     * One row per squad member with a bar per stint on the pitch (coloured by line) and their minutes,
+     * followed by the changes made at each substitution window.
+     */
+    renderSubstitutionPlan(team) {
+        const timeline = this.app.substitutionManager.getTimeline(team);
+        if (timeline.length === 0) return '';
+        
+        const plan = team.substitutionPlan;
+        const percent = minute => Math.round(minute / plan.matchLength * 1000) / 10;
+        
+        return `
+            <div class="substitution-plan">
+                <h4>⏱️ Playing Time (${plan.matchLength} min, ${plan.windows.length} substitution window${plan.windows.length === 1 ? '' : 's'})</h4>
+                <div class="plan-timeline">
+                    ${timeline.map(row => `
+                        <div class="plan-row">
+                            <span class="plan-name">${this.escapeHTML(row.player.name)}</span>
+                            <div class="plan-track">
+                                ${plan.windows.map(minute => `<span class="plan-window-marker" style="left: ${percent(minute)}%"></span>`).join('')}
+                                ${row.stints.map(stint => `
+                                    <span class="plan-stint ${PLAN_LINE_CLASSES[stint.line]}" style="left: ${percent(stint.start)}%; width: ${percent(stint.end - stint.start)}%" title="${stint.start}–${stint.end}' ${this.formatLineName(stint.line)}"></span>
+                                `).join('')}
+                            </div>
+                            <span class="plan-minutes">${row.minutes}'</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="plan-changes">
+                    ${this.app.substitutionManager.getWindowChanges(team).map(window => `
+                        <div class="plan-window">
+                            <span class="rotation-time">${window.minute}'</span>
+                            <span class="plan-window-changes">${window.changes.map(change =>
+                                `${this.escapeHTML(change.on.name)} ⇄ ${this.escapeHTML(change.off.name)} (${this.escapeHTML(change.position)})`
+                            ).join(', ')}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Rotating keeper schedule of a team without a goalkeeper: one row per time block
+    renderKeeperRotation(team) {
+        const entries = this.app.keeperRotationManager.getScheduleEntries(team);
+        if (entries.length === 0) return '';
+        
+        return `
+            <div class="keeper-rotation">
+                <h4>🧤 Rotating Keeper (${team.keeperRotation.blockLength}-minute blocks)</h4>
+                <div class="keeper-rotation-blocks">
+                    ${entries.map(entry => `
+                        <div class="keeper-rotation-block">
+                            <span class="rotation-time">${this.app.keeperRotationManager.formatBlock(entry)}</span>
+                            <span class="rotation-name">${this.escapeHTML(entry.player.name)}</span>
+                            <span class="rotation-rating" title="Goalkeeping rating">${this.app.playerManager.getPlayerRatingForPosition(entry.player, 'GK')}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Notice listing players who did not fit into any squad for the current match format
+    renderLeftOutNotice() {
+        const leftOutPlayers = this.app.leftOutPlayers || [];
+        if (leftOutPlayers.length === 0) return '';
+        
+        const matchFormat = this.app.formationManager.getMatchFormat();
+        return `
+            <div class="generation-notice">
+                <p><strong>${leftOutPlayers.length} player(s) left out:</strong> ${leftOutPlayers.map(player => this.escapeHTML(player.name)).join(', ')}</p>
+                <p>${matchFormat.label} squads hold ${matchFormat.onPitch} players on the pitch plus ${matchFormat.benchSize} substitutes. Add a team or increase the bench size to include everyone.</p>
+            </div>
+        `;
+    }
+
+    // Splits the midfield into the rows of the team's formation (e.g. 4-2-3-1 → [2, 3]), deepest row first
+    getMidfieldRows(team) {
+        const template = this.app.formationManager.getFormationTemplate(team.shape);
+        
+        // Deeper positions fill the deeper rows first
+        const depthOrder = { 'CDM': 1, 'CM': 2, 'LM': 2, 'RM': 2, 'CAM': 3 };
+        const midfieldersByDepth = [...team.formation.midfielders].sort((a, b) =>
+            (depthOrder[a.assignedPosition] || 2) - (depthOrder[b.assignedPosition] || 2)
+        );
+        
+        const rowSizes = template.midfieldRows.length > 0 ? template.midfieldRows : [midfieldersByDepth.length];
+        const rows = rowSizes.map(size => midfieldersByDepth.splice(0, size));
+        
+        // Any midfielders beyond the formation's row sizes join the most advanced row
+        if (midfieldersByDepth.length > 0) rows[rows.length - 1].push(...midfieldersByDepth);
+        
+        return rows.filter(row => row.length > 0);
     }
 
     // Sort players by their position to display them in the correct left-right order on the pitch
@@ -504,8 +894,8 @@ class UIManager {
         };
         
         return [...players].sort((a, b) => {
-            const posA = a.preferredPosition || a.positions[0];
-            const posB = b.preferredPosition || b.positions[0];
+            const posA = a.assignedPosition || a.preferredPosition || a.positions[0];
+            const posB = b.assignedPosition || b.preferredPosition || b.positions[0];
             
             const orderA = positionOrder[posA] || 50; // Default to center if position not found
             const orderB = positionOrder[posB] || 50;
@@ -514,6 +904,40 @@ class UIManager {
         });
     }
 
+    /**
+     * Opens the shared modal dialog with a title and HTML body
+     * 
+     * Used by multi-step flows such as the CSV import; buttons inside the body call
+     * global functions like the rest of the UI. Escape or the ✕ button closes it.
+     */
+    showModal(title, bodyHTML) {
+        const modal = document.getElementById('app-modal');
+        if (!modal) return;
+        
+        document.getElementById('modal-title').textContent = title;
+        document.getElementById('modal-body').innerHTML = bodyHTML;
+        modal.style.display = 'flex';
+    }
+
+    // Hides the modal dialog and discards its content
+    closeModal() {
+        const modal = document.getElementById('app-modal');
+        if (!modal) return;
+        
+        modal.style.display = 'none';
+        document.getElementById('modal-body').innerHTML = '';
+    }
+
+    // Escapes text such as player names before it is inserted as HTML
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Converts a position code to its full name, or returns the code if not found
     formatPosition(position) {
         const positions = {
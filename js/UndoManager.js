@@ -0,0 +1,178 @@
+/**
+ * UndoManager: Undo/redo for roster changes (Model layer)
+ *
+ * Responsibilities:
+ * 1. Change Capture: Records the roster (players, constraints, settings and match history) whenever it is saved
+ * 2. Undo/Redo: Restores earlier or later roster states and saves them again
+ * 3. Descriptions: Names each change (e.g. "remove Messi") for the toolbar buttons
+ * 4. Toolbar: Keeps the undo/redo buttons in sync with the stacks
+ *
+ * Every roster change goes through DataManager's save methods for players, constraints, settings
+ * and matches, so capturing there covers edits, removals, shuffles, imports (including the settings
+ * and match history a replace import brings) and clears alike. Saves made in the same event
+ * (e.g. players and constraints after a removal) become one undo step, and so do consecutive
+ * settings-only changes (number inputs such as the balance tolerance save on every keystroke).
+ * Actions guarded by a confirm dialog are captured once confirmed, so they can be undone too.
+ *
+ * Stack Entry Structure:
+ * { label, state } where state is { players, constraints, settings, matches } as JSON strings
+ */
+
+// Most roster changes kept for undo
+const UNDO_HISTORY_LIMIT = 50;
+
+// Parts of the roster state kept in every undo step
+const UNDO_STATE_KEYS = ['players', 'constraints', 'settings', 'matches'];
+
+class UndoManager {
+    // Constructor establishes connection to main application
+    constructor(app) {
+        this.app = app; // Dependency injection for accessing players, constraints and storage
+        this.undoStack = [];
+        this.redoStack = [];
+        this.currentState = null;     // Last captured roster state
+        this.captureScheduled = false;
+    }
+
+    // Current roster state as JSON strings (immutable, cheap to compare)
+    getState() {
+        return Object.fromEntries(UNDO_STATE_KEYS.map(key => [key, JSON.stringify(this.app[key])]));
+    }
+
+    // Whether two states hold the same roster
+    isSameState(first, second) {
+        return UNDO_STATE_KEYS.every(key => first[key] === second[key]);
+    }
+
+    // Starts a fresh history from the roster as loaded (used when a roster is opened)
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.currentState = this.getState();
+        this.captureScheduled = false;
+        this.updateControls();
+    }
+
+    // Called on every roster save; captures the change once the current event has finished
+    capture() {
+        if (this.captureScheduled) return;
+
+        this.captureScheduled = true;
+        Promise.resolve().then(() => this.captureNow());
+    }
+
+    // Pushes the previous state onto the undo stack if the roster changed
+    captureNow() {
+        this.captureScheduled = false;
+        const state = this.getState();
+        if (!this.currentState) {
+            this.currentState = state;
+            return;
+        }
+        if (this.isSameState(state, this.currentState)) return;
+
+        const label = this.describeChange(this.currentState, state);
+        const lastEntry = this.undoStack[this.undoStack.length - 1];
+        // Consecutive settings changes join the step before, which still holds the state to undo to
+        const joinsLastStep = label === 'change settings' && lastEntry && lastEntry.label === label && this.redoStack.length === 0;
+        if (!joinsLastStep) {
+            this.undoStack.push({ label: label, state: this.currentState });
+            if (this.undoStack.length > UNDO_HISTORY_LIMIT) this.undoStack.shift();
+        }
+        this.redoStack = []; // A new change ends the redo branch
+        this.currentState = state;
+        this.updateControls();
+    }
+
+    // Describes the change between two states, e.g. "remove Messi", "shuffle players"
+    describeChange(before, after) {
+        if (before.players === after.players) {
+            if (before.constraints !== after.constraints) return 'change constraints';
+            return before.matches !== after.matches ? 'change match history' : 'change settings';
+        }
+
+        const oldPlayers = JSON.parse(before.players);
+        const newPlayers = JSON.parse(after.players);
+        const oldById = new Map(oldPlayers.map(player => [player.id, player]));
+        const newIds = new Set(newPlayers.map(player => player.id));
+        const added = newPlayers.filter(player => !oldById.has(player.id));
+        const removed = oldPlayers.filter(player => !newIds.has(player.id));
+
+        if (added.length > 0 && removed.length > 0) return 'replace players';
+        if (added.length > 0) return added.length === 1 ? `add ${added[0].name}` : `add ${added.length} players`;
+        if (removed.length > 0) return removed.length === 1 ? `remove ${removed[0].name}` : `remove ${removed.length} players`;
+
+        const changed = newPlayers.filter(player => JSON.stringify(player) !== JSON.stringify(oldById.get(player.id)));
+        if (changed.length === 0) return 'shuffle players';
+        if (changed.every(player => JSON.stringify({ ...player, selected: null }) === JSON.stringify({ ...oldById.get(player.id), selected: null }))) {
+            return 'change selection';
+        }
+        return changed.length === 1 ? `edit ${changed[0].name}` : `edit ${changed.length} players`;
+    }
+
+    // Restores the state before the last change
+    undo() {
+        if (this.captureScheduled) this.captureNow(); // Include a change made in this same event
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        this.redoStack.push({ label: entry.label, state: this.currentState });
+        this.restore(entry.state);
+    }
+
+    // Re-applies the last undone change
+    redo() {
+        if (this.captureScheduled) this.captureNow();
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+
+        this.undoStack.push({ label: entry.label, state: this.currentState });
+        this.restore(entry.state);
+    }
+
+    // Loads a roster state into the app, saves it and refreshes the views
+    restore(state) {
+        this.currentState = state;
+        UNDO_STATE_KEYS.forEach(key => {
+            this.app[key] = JSON.parse(state[key]);
+        });
+        if (!this.app.matches.some(match => match.id === this.app.openMatchId)) this.app.openMatchId = null;
+
+        const playerIds = new Set(this.app.players.map(player => player.id));
+        [...this.app.lockedPlayerIds].forEach(id => {
+            if (!playerIds.has(id)) this.app.lockedPlayerIds.delete(id);
+        });
+
+        this.app.dataManager.savePlayersToStorage();      // Matches currentState, so no new undo step
+        this.app.dataManager.saveConstraintsToStorage();
+        this.app.dataManager.saveSettingsToStorage();
+        this.app.dataManager.saveMatchesToStorage();
+        this.app.formationManager.updateFormationPicker();
+        this.app.teamGenerator.updateBalanceControls();
+        this.app.formRatingManager.updateFormControls();
+        this.app.keeperRotationManager.updateRotationControls();
+        this.app.substitutionManager.updateSubstitutionControls();
+        this.app.uiManager.updatePlayersList();
+        this.app.matchHistoryManager.updateHistoryList();
+        if (this.app.teams.length > 0) this.app.uiManager.updateTeamsDisplay(); // Saved-match notice and button label
+        this.app.teamGenerator.checkTeamSettingsChange();
+        this.updateControls();
+    }
+
+    // Enables the toolbar buttons and names the change each would undo or redo
+    updateControls() {
+        const undoButton = document.getElementById('undoBtn');
+        const redoButton = document.getElementById('redoBtn');
+        const nextUndo = this.undoStack[this.undoStack.length - 1];
+        const nextRedo = this.redoStack[this.redoStack.length - 1];
+
+        if (undoButton) {
+            undoButton.disabled = !nextUndo;
+            undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !nextRedo;
+            redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+}